@@ -0,0 +1,165 @@
+const header = `# Changelog
+
+All notable changes to this project will be documented in this file.
+
+The format is based on [Keep a Changelog](https://keepachangelog.com/en/1.1.0/),
+and this project adheres to [Semantic Versioning](https://semver.org/spec/v2.0.0.html).
+`;
+
+const commitSections = {
+    feat: 'Added',
+    fix: 'Fixed',
+};
+
+/**
+ * Creates the changelog entry of a PR.
+ * @param version The version the PR releases.
+ * @param date The date of the release (YYYY-MM-DD).
+ * @param pullRequest The pull request.
+ * @param commitMessages The messages of the commits on the PR.
+ * @returns {string} The changelog entry.
+ */
+const createEntry = (version, date, pullRequest, commitMessages) => {
+    const lines = [getMarker(pullRequest.number), `## [${version}] - ${date}`, '', `${pullRequest.title} (#${pullRequest.number})`, ''];
+    const releaseNotes = getReleaseNotes(pullRequest.body);
+    if (releaseNotes) {
+        lines.push(nestHeadings(releaseNotes, 3), '');
+    }
+    const sections = {};
+    for (const message of commitMessages) {
+        const subject = message.split('\n')[0].trim();
+        const type = subject.match(/^(\w+)(?:\([^)]*\))?!?: /);
+        const section = (type && commitSections[type[1].toLowerCase()]) || 'Changed';
+        (sections[section] = sections[section] || []).push(`- ${subject}`);
+    }
+    for (const section of ['Added', 'Changed', 'Fixed']) {
+        if (sections[section]) {
+            lines.push(`### ${section}`, '', ...sections[section], '');
+        }
+    }
+    return lines.join('\n');
+};
+
+/**
+ * Gets the release notes section from the body of a PR. The section is everything under a "Release notes" heading up to
+ * the next heading of the same or a higher level.
+ * @param body The body of the PR.
+ * @returns {string} The release notes or an empty string if the body has none.
+ */
+const getReleaseNotes = (body) => {
+    const lines = (body || '').replace(/\r\n/g, '\n').split('\n');
+    const start = lines.findIndex(line => /^#{1,6}\s*release notes:?\s*$/i.test(line.trim()));
+    if (start === -1) {
+        return '';
+    }
+    const level = lines[start].trim().match(/^#+/)[0].length;
+    const notes = [];
+    for (const line of lines.slice(start + 1)) {
+        const heading = line.match(/^(#{1,6})\s/);
+        if (heading && heading[1].length <= level) {
+            break;
+        }
+        notes.push(line);
+    }
+    return notes.join('\n').trim();
+};
+
+/**
+ * Nests the headings of the text under the heading of an entry, so the text does not end the entry (e.g. the ## headings
+ * of a # Release notes section).
+ * @param text The text.
+ * @param level The level of the highest heading of the text once nested.
+ * @returns {string} The text with its headings nested.
+ */
+const nestHeadings = (text, level) => {
+    const headings = text.split('\n').map(line => line.match(/^(#{1,6})\s/)).filter(Boolean);
+    const shift = headings.length > 0 ? level - Math.min(...headings.map(heading => heading[1].length)) : 0;
+    if (shift <= 0) {
+        return text;
+    }
+    return text.replace(/^(#{1,6})(?=\s)/gm, hashes => '#'.repeat(Math.min(hashes.length + shift, 6)));
+};
+
+/**
+ * Adds the entry of a PR to the changelog. An existing entry of the same PR is replaced, otherwise the entry is added
+ * above the latest release (below the Unreleased section).
+ * @param content The content of the changelog. Empty when the changelog does not exist yet.
+ * @param entry The entry created by createEntry.
+ * @param number The pull request number.
+ * @returns {string} The updated changelog.
+ */
+const updateChangelog = (content, entry, number) => {
+    if (!content) {
+        return `${header}\n${entry}`;
+    }
+    const newline = content.includes('\r\n') ? '\r\n' : '\n';
+    const lines = content.split(/\r?\n/);
+    const entryLines = entry.split('\n');
+    const marker = getMarker(number);
+    let start = lines.indexOf(marker);
+    if (start !== -1) {
+        const end = findEntryEnd(lines, start + 1);
+        lines.splice(start, end - start, ...entryLines);
+    } else {
+        start = lines.findIndex(line => /^## /.test(line) && !/^## \[?unreleased]?/i.test(line));
+        if (start === -1) {
+            if (lines[lines.length - 1] !== '') {
+                lines.push('');
+            }
+            lines.push(...entryLines);
+        } else {
+            // keep the marker of an existing entry with its heading
+            if (start > 0 && isMarker(lines[start - 1])) {
+                start--;
+            }
+            lines.splice(start, 0, ...entryLines);
+        }
+    }
+    return lines.join(newline);
+};
+
+/**
+ * Finds where the entry ends, at the next heading of the same or a higher level than the heading of the entry.
+ * @param lines The lines of the changelog.
+ * @param from The line after the start of the entry.
+ * @returns {number} The line the next entry starts at or the number of lines.
+ */
+const findEntryEnd = (lines, from) => {
+    const heading = (lines[from] || '').match(/^(#{1,6})\s/);
+    const level = heading ? heading[1].length : 2;
+    // skip the heading of the entry itself
+    for (let i = from + 1; i < lines.length; i++) {
+        if (isMarker(lines[i])) {
+            return i;
+        }
+        const next = lines[i].match(/^(#{1,6})\s/);
+        if ((next && next[1].length <= level) || /^\[[^\]]+]: /.test(lines[i])) {
+            return i > 0 && isMarker(lines[i - 1]) ? i - 1 : i;
+        }
+    }
+    return lines.length;
+};
+
+/**
+ * Gets the comment that marks the entry of a PR.
+ * @param number The pull request number.
+ * @returns {string} The marker.
+ */
+const getMarker = (number) => {
+    return `<!-- next-version: #${number} -->`;
+};
+
+/**
+ * Determines if the line is the marker of an entry.
+ * @param line The line.
+ * @returns {boolean} True if the line is a marker.
+ */
+const isMarker = (line) => {
+    return /^<!-- next-version: #\d+ -->$/.test(line);
+};
+
+module.exports = {
+    createEntry,
+    getReleaseNotes,
+    updateChangelog,
+};
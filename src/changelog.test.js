@@ -0,0 +1,126 @@
+const changelog = require('./changelog');
+
+const pullRequest = {
+    number: 42,
+    title: 'Add login',
+    body: `Adds the login page.
+
+## Release notes
+
+Users can now log in.
+
+### Upgrading
+
+Set \`AUTH_URL\`.
+
+## Testing
+
+Manually.`,
+};
+
+const entry = `<!-- next-version: #42 -->
+## [1.3.0] - 2026-10-19
+
+Add login (#42)
+
+Users can now log in.
+
+### Upgrading
+
+Set \`AUTH_URL\`.
+
+### Added
+
+- feat: add login page
+
+### Changed
+
+- Merge branch main
+- docs: update readme
+
+### Fixed
+
+- fix(auth): handle expired tokens
+`;
+
+const existing = `# Changelog
+
+## [Unreleased]
+
+## [1.2.0] - 2026-09-01
+
+Previous release (#41)
+
+[1.2.0]: https://example.com/1.2.0
+`;
+
+describe('create entry', () => {
+    it('should create the entry from the PR and commits', () => {
+        const commitMessages = ['feat: add login page\n\nlong description', 'fix(auth): handle expired tokens', 'Merge branch main', 'docs: update readme'];
+        expect(changelog.createEntry('1.3.0', '2026-10-19', pullRequest, commitMessages)).toBe(entry);
+    });
+
+    it('should nest the headings of the release notes under the entry', () => {
+        const body = '# Release notes\n\nUsers can now log in.\n\n## Upgrading\n\nSet `AUTH_URL`.\n\n# Testing\n\nManually.';
+        expect(changelog.createEntry('1.3.0', '2026-10-19', {...pullRequest, body}, []))
+            .toBe('<!-- next-version: #42 -->\n## [1.3.0] - 2026-10-19\n\nAdd login (#42)\n\nUsers can now log in.\n\n### Upgrading\n\nSet `AUTH_URL`.\n');
+    });
+
+    it('should create the entry without release notes or commits', () => {
+        expect(changelog.createEntry('1.3.0', '2026-10-19', {number: 1, title: 'Fix', body: null}, []))
+            .toBe('<!-- next-version: #1 -->\n## [1.3.0] - 2026-10-19\n\nFix (#1)\n');
+    });
+});
+
+describe('get release notes', () => {
+    it('should be empty when there is no release notes section', () => {
+        expect(changelog.getReleaseNotes('## Summary\n\nSomething')).toBe('');
+        expect(changelog.getReleaseNotes(undefined)).toBe('');
+    });
+
+    it('should stop at the next heading of the same level', () => {
+        expect(changelog.getReleaseNotes('### Release Notes:\r\nNotes\r\n### Other\r\nMore')).toBe('Notes');
+    });
+});
+
+describe('update changelog', () => {
+    it('should create the changelog', () => {
+        const updated = changelog.updateChangelog('', entry, 42);
+        expect(updated.startsWith('# Changelog\n\nAll notable changes')).toBe(true);
+        expect(updated.endsWith(`\n\n${entry}`)).toBe(true);
+    });
+
+    it('should add the entry above the latest release', () => {
+        const updated = changelog.updateChangelog(existing, entry, 42);
+        expect(updated).toBe(existing.replace('## [1.2.0]', `${entry}\n## [1.2.0]`));
+    });
+
+    it('should replace the entry of the same PR', () => {
+        const updated = changelog.updateChangelog(existing, entry, 42);
+        const replacement = entry.replace('1.3.0', '2.0.0');
+        expect(changelog.updateChangelog(updated, replacement, 42)).toBe(existing.replace('## [1.2.0]', `${replacement}\n## [1.2.0]`));
+    });
+
+    it('should replace the entry of the same PR up to the next heading of its level', () => {
+        const notes = '# Release notes\n\n## Upgrading\n\nSet `AUTH_URL`.\n\n## Breaking\n\nDrop IE.';
+        const content = `${existing}\n# Archive\n\nOlder releases.\n`;
+        const first = changelog.createEntry('1.3.0', '2026-10-19', {...pullRequest, body: notes}, []);
+        const second = changelog.createEntry('2.0.0', '2026-10-19', {...pullRequest, body: notes}, []);
+        const updated = changelog.updateChangelog(content, first, 42);
+        expect(changelog.updateChangelog(updated, second, 42)).toBe(content.replace('## [1.2.0]', `${second}\n## [1.2.0]`));
+        // an entry at the end of the changelog ends at a heading of a higher level
+        const last = `# Release notes\n\n${first}\n# Archive\n`;
+        expect(changelog.updateChangelog(last, second, 42)).toBe(`# Release notes\n\n${second}\n# Archive\n`);
+    });
+
+    it('should add the entry above the entry of another PR', () => {
+        const updated = changelog.updateChangelog(existing, entry, 42);
+        const other = entry.replace(/#42/g, '#43').replace('1.3.0', '1.4.0');
+        expect(changelog.updateChangelog(updated, other, 43)).toBe(existing.replace('## [1.2.0]', `${other}\n${entry}\n## [1.2.0]`));
+    });
+
+    it('should keep CRLF line endings', () => {
+        const updated = changelog.updateChangelog(existing.replace(/\n/g, '\r\n'), entry, 42);
+        expect(updated).toBe(existing.replace('## [1.2.0]', `${entry}\n## [1.2.0]`).replace(/\n/g, '\r\n'));
+    });
+});
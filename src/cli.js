@@ -0,0 +1,118 @@
+#!/usr/bin/env node
+const {parseArgs} = require('util');
+const GitClient = require('./git');
+const Handler = require('./handler');
+const report = require('./report');
+const {createScheme} = require('./scheme');
+
+const usage = `Usage: next-version --files <files> [options]
+
+Increments the version of the files compared to the base branch of a local git repository.
+
+Options:
+  --files <files>          Comma separated list of files containing the version to increment
+  --bump <version>         major, minor, patch, premajor, preminor, prerelease or none (default: patch)
+  --base <ref>             Branch, tag or commit to compare the versions to (default: main)
+  --prerelease-id <id>     Identifier used for pre-release versions (default: rc)
+  --scheme <scheme>        semver, four-part or a CalVer format such as YYYY.MM.MICRO (default: semver)
+  --dry-run                Compute the versions without writing the files
+  --json                   Print the versions as JSON
+  -h, --help               Show this help`;
+
+const bumps = ['major', 'minor', 'patch', 'premajor', 'preminor', 'prerelease', 'none'];
+
+/**
+ * Logs to stderr, so stdout only has the versions. A failure sets the exit code.
+ */
+const logger = {
+    info: message => console.error(message),
+    warning: message => console.error(`Warning: ${message}`),
+    setFailed: message => {
+        console.error(`Error: ${message}`);
+        process.exitCode = 1;
+    },
+};
+
+/**
+ * Runs the CLI.
+ * @param args The command line arguments, without the node executable and the script.
+ * @returns {Promise<void>}
+ */
+const run = async (args) => {
+    let values;
+    try {
+        ({values} = parseArgs({
+            args,
+            options: {
+                'files': {type: 'string'},
+                'bump': {type: 'string', default: 'patch'},
+                'base': {type: 'string', default: 'main'},
+                'prerelease-id': {type: 'string', default: 'rc'},
+                'scheme': {type: 'string', default: 'semver'},
+                'dry-run': {type: 'boolean', default: false},
+                'json': {type: 'boolean', default: false},
+                'help': {type: 'boolean', short: 'h', default: false},
+            },
+        }));
+    } catch (err) {
+        logger.setFailed(`${err.message}\n\n${usage}`);
+        return;
+    }
+    if (values.help) {
+        console.log(usage);
+        return;
+    }
+    const files = (values.files || '').split(',').map(f => f.trim()).filter(f => f);
+    if (files.length === 0) {
+        logger.setFailed(`No files provided\n\n${usage}`);
+        return;
+    }
+    if (!bumps.includes(values.bump)) {
+        logger.setFailed(`Unsupported bump: ${values.bump}`);
+        return;
+    }
+    if (values.bump === 'none') {
+        logger.info('Not incrementing the version.');
+        return;
+    }
+    let scheme;
+    try {
+        scheme = createScheme(values.scheme);
+    } catch (err) {
+        logger.setFailed(err.message);
+        return;
+    }
+
+    const handler = new Handler(new GitClient(), values.base, values.bump, {
+        preReleaseId: values['prerelease-id'],
+        dryRun: values['dry-run'],
+        scheme,
+        logger,
+    });
+    const rows = [];
+    const changedFiles = [];
+    for (const file of files) {
+        const {changes, result} = await handler.handle(file);
+        changedFiles.push(...changes.map(change => change.path));
+        if (result) {
+            rows.push({...result, versionToIncrement: values.bump});
+        }
+    }
+
+    if (values.json) {
+        console.log(JSON.stringify({versions: report.createVersions(rows), changedFiles}, null, 2));
+        return;
+    }
+    for (const row of rows) {
+        console.log(`${row.path}: ${row.mainVersion} -> ${row.nextVersion}${row.incremented ? '' : ' (already incremented)'}`);
+    }
+    if (values['dry-run'] && changedFiles.length > 0) {
+        console.log(`Dry run, not written: ${changedFiles.join(', ')}`);
+    }
+};
+
+if (require.main === module) {
+    run(process.argv.slice(2)).catch(err => logger.setFailed(err.message));
+}
+
+module.exports = run;
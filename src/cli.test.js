@@ -0,0 +1,72 @@
+const fs = require('fs');
+const GitClient = require('./git');
+const run = require('./cli');
+const util = require('./util');
+
+jest
+    .mock('@actions/core', () => {
+        return {};
+    })
+    .mock('fs', () => {
+        return {
+            existsSync: jest.fn(),
+            readFileSync: jest.fn(),
+            writeFileSync: jest.fn(),
+        };
+    })
+    .mock('./git');
+
+describe('running the cli', () => {
+    let log;
+    let error;
+
+    beforeEach(() => {
+        jest.resetAllMocks();
+        process.exitCode = undefined;
+        log = jest.spyOn(console, 'log').mockImplementation(() => {});
+        error = jest.spyOn(console, 'error').mockImplementation(() => {});
+        fs.existsSync.mockReturnValue(true);
+        fs.readFileSync.mockReturnValue('1.2.3\n');
+        GitClient.prototype.getContent.mockResolvedValue({content: util.encode('1.2.3\n')});
+    });
+
+    afterEach(() => {
+        process.exitCode = undefined;
+        jest.restoreAllMocks();
+    });
+
+    it('should increment the files compared to the base', async () => {
+        await run(['--files', 'VERSION', '--bump', 'minor', '--base', 'origin/main']);
+        expect(GitClient.prototype.getContent).toHaveBeenCalledWith('VERSION', 'origin/main');
+        expect(fs.writeFileSync).toHaveBeenCalledWith('VERSION', '1.3.0\n', 'utf8');
+        expect(log).toHaveBeenCalledWith('VERSION: 1.2.3 -> 1.3.0');
+        expect(process.exitCode).toBeUndefined();
+    });
+
+    it('should print the versions as JSON without writing on a dry run', async () => {
+        await run(['--files', 'VERSION', '--dry-run', '--json']);
+        expect(fs.writeFileSync).not.toHaveBeenCalled();
+        expect(JSON.parse(log.mock.calls[0][0])).toEqual({
+            versions: {VERSION: {previous: '1.2.3', branch: '1.2.3', new: '1.2.4', bumpType: 'patch', incremented: true}},
+            changedFiles: ['VERSION'],
+        });
+    });
+
+    it('should fail without files', async () => {
+        await run([]);
+        expect(error.mock.calls[0][0]).toMatch(/^Error: No files provided/);
+        expect(process.exitCode).toBe(1);
+    });
+
+    it('should fail with an unsupported bump', async () => {
+        await run(['--files', 'VERSION', '--bump', 'huge']);
+        expect(error).toHaveBeenCalledWith('Error: Unsupported bump: huge');
+        expect(process.exitCode).toBe(1);
+    });
+
+    it('should not increment the version when the bump is none', async () => {
+        await run(['--files', 'VERSION', '--bump', 'none']);
+        expect(GitClient.prototype.getContent).not.toHaveBeenCalled();
+        expect(process.exitCode).toBeUndefined();
+    });
+});
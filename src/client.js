@@ -1,3 +1,5 @@
+const path = require("path");
+const {withRetry} = require("./retry");
 const util = require("./util");
 
 /**
@@ -11,6 +13,7 @@ class Client {
      */
     constructor(octokit, context) {
         this.octokit = octokit;
+        this.octokit.hook.wrap('request', (request, options) => withRetry(() => request(options), {method: options.method}));
         this.owner = context.repo.owner;
         this.repo = context.repo.repo;
     }
@@ -30,35 +33,323 @@ class Client {
     }
 
     /**
-     * Commit a file to the repository.
-     * @param path The path to the file.
-     * @param content The content of the file.
+     * Get the files changed by the pull request.
+     * @param number The pull request number.
+     * @returns {Promise<string[]>} The paths of the changed files.
+     */
+    async getPullRequestFiles(number) {
+        const files = await this.octokit.paginate(this.octokit.rest.pulls.listFiles, {
+            owner: this.owner,
+            repo: this.repo,
+            pull_number: number,
+            per_page: 100,
+        });
+        return files.map(file => file.filename);
+    }
+
+    /**
+     * Get the messages of the commits on the pull request.
+     * @param number The pull request number.
+     * @returns {Promise<string[]>} The commit messages.
+     */
+    async getPullRequestCommitMessages(number) {
+        const commits = await this.octokit.paginate(this.octokit.rest.pulls.listCommits, {
+            owner: this.owner,
+            repo: this.repo,
+            pull_number: number,
+            per_page: 100,
+        });
+        return commits.map(commit => commit.commit.message);
+    }
+
+    /**
+     * Get the open pull requests.
+     * @returns {Promise<*[]>} The open pull requests.
+     */
+    async getOpenPullRequests() {
+        return this.octokit.paginate(this.octokit.rest.pulls.list, {
+            owner: this.owner,
+            repo: this.repo,
+            state: 'open',
+            per_page: 100,
+        });
+    }
+
+    /**
+     * Create or update the comment on the pull request that contains the marker, so the pull request only ever has a
+     * single comment of the action.
+     * @param number The pull request number.
+     * @param marker The marker identifying the comment.
+     * @param body The body of the comment. Must contain the marker.
+     * @returns {Promise<void>}
+     */
+    async upsertComment(number, marker, body) {
+        const comments = await this.octokit.paginate(this.octokit.rest.issues.listComments, {
+            owner: this.owner,
+            repo: this.repo,
+            issue_number: number,
+            per_page: 100,
+        });
+        const comment = comments.find(c => c.body && c.body.includes(marker));
+        if (comment) {
+            await this.octokit.rest.issues.updateComment({
+                owner: this.owner,
+                repo: this.repo,
+                comment_id: comment.id,
+                body,
+            });
+        } else {
+            await this.octokit.rest.issues.createComment({
+                owner: this.owner,
+                repo: this.repo,
+                issue_number: number,
+                body,
+            });
+        }
+    }
+
+    /**
+     * Commit files to the repository as a single commit.
+     * @param files The files to commit, each with a path and content.
      * @param message The commit message.
      * @param branch The branch to commit to.
+     * @param identities The identities to commit as. Optional.
+     * @param identities.author The name and email of the author. Defaults to the owner of the token.
+     * @param identities.committer The name and email of the committer. Defaults to the owner of the token, in which case
+     * GitHub signs the commits of GitHub Apps.
+     * @param sha The SHA of the commit the files were read from. Optional. When the branch has moved on since, the files
+     * would revert the changes of the newer commits, so the commit fails with a ConflictError.
+     * @returns {Promise<string>} The SHA of the new commit.
+     */
+    async commitFiles(files, message, branch, identities = {}, sha = undefined) {
+        const parentSHA = await this.getBranchSHA(branch);
+        if (sha && parentSHA !== sha) {
+            throw new ConflictError(`${branch} was updated while committing.`);
+        }
+        const {data: parent} = await this.octokit.rest.git.getCommit({
+            owner: this.owner,
+            repo: this.repo,
+            commit_sha: parentSHA,
+        });
+        // the files keep their mode (e.g. an executable version script), new files are regular files
+        const directories = new Map();
+        const tree = [];
+        for (const file of files) {
+            const {data: blob} = await this.octokit.rest.git.createBlob({
+                owner: this.owner,
+                repo: this.repo,
+                content: util.encode(file.content),
+                encoding: 'base64',
+            });
+            const filePath = path.posix.normalize(file.path);
+            const entry = (await this.getTreeEntries(parent.tree.sha, path.posix.dirname(filePath), directories)).get(path.posix.basename(filePath));
+            tree.push({path: filePath, mode: entry ? entry.mode : '100644', type: 'blob', sha: blob.sha});
+        }
+        const {data: newTree} = await this.octokit.rest.git.createTree({
+            owner: this.owner,
+            repo: this.repo,
+            base_tree: parent.tree.sha,
+            tree,
+        });
+        const {data: commit} = await this.octokit.rest.git.createCommit({
+            owner: this.owner,
+            repo: this.repo,
+            message,
+            tree: newTree.sha,
+            parents: [parentSHA],
+            ...(identities.author && {author: identities.author}),
+            ...(identities.committer && {committer: identities.committer}),
+        });
+        try {
+            await this.octokit.rest.git.updateRef({
+                owner: this.owner,
+                repo: this.repo,
+                ref: `heads/${branch}`,
+                sha: commit.sha,
+            });
+        } catch (e) {
+            // the branch moved since the tree was read, so the commit is no longer a fast-forward
+            if (e.status === 409 || (e.status === 422 && /fast.forward/i.test(e.message))) {
+                throw new ConflictError(`${branch} was updated while committing.`);
+            }
+            if ((e.status === 403 || e.status === 422) && /protected branch|rule violation|verified signatures/i.test(e.message)) {
+                throw new ProtectedBranchError(`Unable to commit to ${branch} because the branch is protected. Use a token that is allowed to push to ${branch}.`);
+            }
+            throw e;
+        }
+        return commit.sha;
+    }
+
+    /**
+     * Get the entries of a directory of the tree. Only the trees of the directory and its parents are read, rather than
+     * the whole tree of the repository.
+     * @param treeSHA The SHA of the root tree.
+     * @param directory The path to the directory. The root is '.'.
+     * @param directories The entries of the directories read so far, keyed by path.
+     * @returns {Promise<Map<string, *>>} The entries keyed by name, empty if the directory does not exist.
+     */
+    async getTreeEntries(treeSHA, directory, directories) {
+        if (!directories.has(directory)) {
+            let sha = treeSHA;
+            if (directory !== '.') {
+                const entry = (await this.getTreeEntries(treeSHA, path.posix.dirname(directory), directories)).get(path.posix.basename(directory));
+                sha = entry && entry.type === 'tree' ? entry.sha : undefined;
+            }
+            let entries = [];
+            if (sha) {
+                ({data: {tree: entries}} = await this.octokit.rest.git.getTree({
+                    owner: this.owner,
+                    repo: this.repo,
+                    tree_sha: sha,
+                }));
+            }
+            directories.set(directory, new Map(entries.map(entry => [entry.path, entry])));
+        }
+        return directories.get(directory);
+    }
+
+    /**
+     * Get the SHA of the commit the branch points to.
+     * @param branch The name of the branch.
+     * @returns {Promise<string>} The SHA of the commit.
+     */
+    async getBranchSHA(branch) {
+        const {data: ref} = await this.octokit.rest.git.getRef({
+            owner: this.owner,
+            repo: this.repo,
+            ref: `heads/${branch}`,
+        });
+        return ref.object.sha;
+    }
+
+    /**
+     * Determine if the tag exists.
+     * @param tag The name of the tag.
+     * @returns {Promise<boolean>} True if the tag exists.
+     */
+    async tagExists(tag) {
+        try {
+            await this.octokit.rest.git.getRef({
+                owner: this.owner,
+                repo: this.repo,
+                ref: `tags/${tag}`,
+            });
+            return true;
+        } catch (e) {
+            if (e.status === 404) {
+                return false;
+            }
+            throw e;
+        }
+    }
+
+    /**
+     * Get the names of the tags.
+     * @returns {Promise<string[]>} The names of the tags.
+     */
+    async getTags() {
+        const tags = await this.octokit.paginate(this.octokit.rest.repos.listTags, {
+            owner: this.owner,
+            repo: this.repo,
+            per_page: 100,
+        });
+        return tags.map(tag => tag.name);
+    }
+
+    /**
+     * Create an annotated tag.
+     * @param tag The name of the tag.
+     * @param sha The SHA of the commit to tag.
+     * @param message The message of the tag.
      * @returns {Promise<void>}
      */
-    async commitFile(path, content, message, branch) {
-        const sha = await this.getFileSHA(path, branch);
-        await this.octokit.rest.repos.createOrUpdateFileContents({
+    async createTag(tag, sha, message) {
+        const {data: tagObject} = await this.octokit.rest.git.createTag({
             owner: this.owner,
             repo: this.repo,
-            path,
+            tag,
             message,
-            content: util.encode(content),
-            sha,
-            branch,
+            object: sha,
+            type: 'commit',
+        });
+        await this.octokit.rest.git.createRef({
+            owner: this.owner,
+            repo: this.repo,
+            ref: `refs/tags/${tag}`,
+            sha: tagObject.sha,
         });
     }
 
     /**
-     * Get the SHA of a file.
+     * Move a lightweight tag to the commit, creating the tag if it does not exist.
+     * @param tag The name of the tag.
+     * @param sha The SHA of the commit to move the tag to.
+     * @returns {Promise<void>}
+     */
+    async moveTag(tag, sha) {
+        if (await this.tagExists(tag)) {
+            await this.octokit.rest.git.updateRef({
+                owner: this.owner,
+                repo: this.repo,
+                ref: `tags/${tag}`,
+                sha,
+                force: true,
+            });
+        } else {
+            await this.octokit.rest.git.createRef({
+                owner: this.owner,
+                repo: this.repo,
+                ref: `refs/tags/${tag}`,
+                sha,
+            });
+        }
+    }
+
+    /**
+     * Create a release with notes generated by GitHub.
+     * @param tag The name of the tag to release.
+     * @param prerelease Whether the release is a pre-release.
+     * @returns {Promise<*>} The release.
+     */
+    async createRelease(tag, prerelease) {
+        const {data: release} = await this.octokit.rest.repos.createRelease({
+            owner: this.owner,
+            repo: this.repo,
+            tag_name: tag,
+            name: tag,
+            generate_release_notes: true,
+            prerelease,
+        });
+        return release;
+    }
+
+    /**
+     * Get the decoded content of the file.
      * @param path The path to the file.
-     * @param branch The branch to get the SHA from.
-     * @returns {Promise<*>} The SHA of the file.
+     * @param ref The branch or commit to get the file from.
+     * @returns {Promise<string|undefined>} The content of the file or undefined if it does not exist.
      */
-    async getFileSHA(path, branch) {
-        const content = await this.getContent(path, branch);
-        return content.sha;
+    async getFileContent(path, ref) {
+        return util.getFileContent(this, path, ref);
+    }
+
+    /**
+     * Get the directories within the directory.
+     * @param path The path to the directory.
+     * @param ref The branch or commit to get the directories from.
+     * @returns {Promise<string[]>} The paths of the directories, empty if the directory does not exist.
+     */
+    async getDirectories(path, ref) {
+        let entries;
+        try {
+            entries = await this.getContent(path === '.' ? '' : path, ref);
+        } catch (e) {
+            if (e.status === 404) {
+                return [];
+            }
+            throw e;
+        }
+        return Array.isArray(entries) ? entries.filter(entry => entry.type === 'dir').map(entry => entry.path) : [];
     }
 
     /**
@@ -78,4 +369,27 @@ class Client {
     }
 }
 
+/**
+ * Thrown when the branch was updated while committing.
+ */
+class ConflictError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'ConflictError';
+    }
+}
+
+/**
+ * Thrown when the branch protection rejects the commit.
+ */
+class ProtectedBranchError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'ProtectedBranchError';
+    }
+}
+
+Client.ConflictError = ConflictError;
+Client.ProtectedBranchError = ProtectedBranchError;
+
 module.exports = Client;
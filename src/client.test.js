@@ -4,13 +4,37 @@ const Client = require('./client');
 jest.mock('@actions/github', () => {
     return {
         getOctokit: jest.fn().mockReturnValue({
+            hook: {wrap: jest.fn()},
+            paginate: jest.fn().mockReturnValue([{filename: 'package.json'}, {filename: 'src/main.js'}]),
             rest: {
                 pulls: {
                     get: jest.fn().mockReturnValue({data: {number: 1}}),
+                    listFiles: jest.fn(),
+                    listCommits: jest.fn(),
+                    list: jest.fn(),
+                },
+                issues: {
+                    listComments: jest.fn(),
+                    createComment: jest.fn(),
+                    updateComment: jest.fn(),
                 },
                 repos: {
-                    createOrUpdateFileContents: jest.fn(),
                     getContent: jest.fn().mockReturnValue({data: {sha: '123abc'}}),
+                    createRelease: jest.fn().mockReturnValue({data: {id: 1}}),
+                    listTags: jest.fn(),
+                },
+                git: {
+                    getRef: jest.fn().mockReturnValue({data: {object: {sha: 'parent-sha'}}}),
+                    getCommit: jest.fn().mockReturnValue({data: {tree: {sha: 'base-tree-sha'}}}),
+                    getTree: jest.fn().mockReturnValue({data: {tree: [{path: 'pom.xml', mode: '100644', type: 'blob', sha: 'pom-sha'}]}}),
+                    createBlob: jest.fn()
+                        .mockReturnValueOnce({data: {sha: 'blob-1'}})
+                        .mockReturnValueOnce({data: {sha: 'blob-2'}}),
+                    createTree: jest.fn().mockReturnValue({data: {sha: 'tree-sha'}}),
+                    createCommit: jest.fn().mockReturnValue({data: {sha: 'commit-sha'}}),
+                    updateRef: jest.fn(),
+                    createTag: jest.fn().mockReturnValue({data: {sha: 'tag-sha'}}),
+                    createRef: jest.fn(),
                 },
             },
         }),
@@ -36,32 +60,304 @@ describe('calling github apis', () => {
         });
     });
 
-    it('should commit file', async () => {
-        await client.commitFile('test.txt', 'test', 'test message', 'test-branch');
-        expect(octokit.rest.repos.getContent).toHaveBeenCalledWith({
+    it('should get pull request files', async () => {
+        const files = await client.getPullRequestFiles(1);
+        expect(files).toEqual(['package.json', 'src/main.js']);
+        expect(octokit.paginate).toHaveBeenCalledWith(octokit.rest.pulls.listFiles, {
             owner: 'test',
             repo: 'test',
-            path: 'test.txt',
-            ref: 'test-branch',
+            pull_number: 1,
+            per_page: 100,
+        });
+    });
+
+    it('should get pull request commit messages', async () => {
+        octokit.paginate.mockReturnValueOnce([{commit: {message: 'feat: add login'}}, {commit: {message: 'fix: typo'}}]);
+        const messages = await client.getPullRequestCommitMessages(1);
+        expect(messages).toEqual(['feat: add login', 'fix: typo']);
+        expect(octokit.paginate).toHaveBeenCalledWith(octokit.rest.pulls.listCommits, {
+            owner: 'test',
+            repo: 'test',
+            pull_number: 1,
+            per_page: 100,
         });
-        expect(octokit.rest.repos.createOrUpdateFileContents).toHaveBeenCalledWith({
+    });
+
+    it('should get the open pull requests', async () => {
+        octokit.paginate.mockReturnValueOnce([{number: 2}]);
+        expect(await client.getOpenPullRequests()).toEqual([{number: 2}]);
+        expect(octokit.paginate).toHaveBeenCalledWith(octokit.rest.pulls.list, {
+            owner: 'test',
+            repo: 'test',
+            state: 'open',
+            per_page: 100,
+        });
+    });
+
+    it('should get the tags', async () => {
+        octokit.paginate.mockReturnValueOnce([{name: 'v1.0.0'}, {name: 'v1'}]);
+        expect(await client.getTags()).toEqual(['v1.0.0', 'v1']);
+        expect(octokit.paginate).toHaveBeenCalledWith(octokit.rest.repos.listTags, {
+            owner: 'test',
+            repo: 'test',
+            per_page: 100,
+        });
+    });
+
+    it('should create the comment', async () => {
+        octokit.paginate.mockReturnValueOnce([{id: 1, body: 'other comment'}]);
+        await client.upsertComment(1, '<!-- marker -->', '<!-- marker -->\nbody');
+        expect(octokit.paginate).toHaveBeenCalledWith(octokit.rest.issues.listComments, {
+            owner: 'test',
+            repo: 'test',
+            issue_number: 1,
+            per_page: 100,
+        });
+        expect(octokit.rest.issues.createComment).toHaveBeenCalledWith({
+            owner: 'test',
+            repo: 'test',
+            issue_number: 1,
+            body: '<!-- marker -->\nbody',
+        });
+        expect(octokit.rest.issues.updateComment).not.toHaveBeenCalled();
+    });
+
+    it('should update the existing comment', async () => {
+        octokit.paginate.mockReturnValueOnce([{id: 1, body: 'other comment'}, {id: 2, body: '<!-- marker -->\nold body'}]);
+        await client.upsertComment(1, '<!-- marker -->', '<!-- marker -->\nbody');
+        expect(octokit.rest.issues.updateComment).toHaveBeenCalledWith({
+            owner: 'test',
+            repo: 'test',
+            comment_id: 2,
+            body: '<!-- marker -->\nbody',
+        });
+        expect(octokit.rest.issues.createComment).not.toHaveBeenCalled();
+    });
+
+    it('should commit files', async () => {
+        const sha = await client.commitFiles([
+            {path: 'package.json', content: 'test'},
+            {path: './pom.xml', content: 'test'},
+        ], 'test message', 'test-branch');
+        expect(sha).toBe('commit-sha');
+        expect(octokit.rest.git.getRef).toHaveBeenCalledWith({
+            owner: 'test',
+            repo: 'test',
+            ref: 'heads/test-branch',
+        });
+        expect(octokit.rest.git.getCommit).toHaveBeenCalledWith({
+            owner: 'test',
+            repo: 'test',
+            commit_sha: 'parent-sha',
+        });
+        // the root tree is read once for both files
+        expect(octokit.rest.git.getTree).toHaveBeenCalledTimes(1);
+        expect(octokit.rest.git.getTree).toHaveBeenCalledWith({
+            owner: 'test',
+            repo: 'test',
+            tree_sha: 'base-tree-sha',
+        });
+        expect(octokit.rest.git.createBlob).toHaveBeenCalledTimes(2);
+        expect(octokit.rest.git.createBlob).toHaveBeenCalledWith({
             owner: 'test',
             repo: 'test',
-            path: 'test.txt',
-            message: 'test message',
             content: 'dGVzdA==',
-            sha: '123abc',
-            branch: 'test-branch',
+            encoding: 'base64',
+        });
+        expect(octokit.rest.git.createTree).toHaveBeenCalledWith({
+            owner: 'test',
+            repo: 'test',
+            base_tree: 'base-tree-sha',
+            tree: [
+                {path: 'package.json', mode: '100644', type: 'blob', sha: 'blob-1'},
+                {path: 'pom.xml', mode: '100644', type: 'blob', sha: 'blob-2'},
+            ],
+        });
+        expect(octokit.rest.git.createCommit).toHaveBeenCalledWith({
+            owner: 'test',
+            repo: 'test',
+            message: 'test message',
+            tree: 'tree-sha',
+            parents: ['parent-sha'],
+        });
+        expect(octokit.rest.git.updateRef).toHaveBeenCalledWith({
+            owner: 'test',
+            repo: 'test',
+            ref: 'heads/test-branch',
+            sha: 'commit-sha',
         });
     });
 
-    it('should get file sha', async () => {
-        await client.getFileSHA('test.txt', 'test-branch');
-        expect(octokit.rest.repos.getContent).toHaveBeenCalledWith({
+    it('should keep the mode of the committed files', async () => {
+        octokit.rest.git.createBlob
+            .mockReturnValueOnce({data: {sha: 'blob-1'}})
+            .mockReturnValueOnce({data: {sha: 'blob-2'}});
+        const trees = {
+            'base-tree-sha': [{path: 'scripts', mode: '040000', type: 'tree', sha: 'scripts-sha'}],
+            'scripts-sha': [{path: 'version.sh', mode: '100755', type: 'blob', sha: 'script-sha'}],
+        };
+        octokit.rest.git.getTree.mockImplementation(({tree_sha: sha}) => ({data: {tree: trees[sha]}}));
+        await client.commitFiles([
+            {path: 'scripts/version.sh', content: 'test'},
+            {path: 'package.json', content: 'test'},
+        ], 'test message', 'test-branch');
+        expect(octokit.rest.git.createTree).toHaveBeenCalledWith({
             owner: 'test',
             repo: 'test',
-            path: 'test.txt',
-            ref: 'test-branch',
+            base_tree: 'base-tree-sha',
+            tree: [
+                {path: 'scripts/version.sh', mode: '100755', type: 'blob', sha: 'blob-1'},
+                {path: 'package.json', mode: '100644', type: 'blob', sha: 'blob-2'},
+            ],
+        });
+        expect(octokit.rest.git.getTree.mock.calls.map(([{tree_sha: sha}]) => sha)).toEqual(['base-tree-sha', 'scripts-sha']);
+    });
+
+    it('should commit files as the author and committer', async () => {
+        octokit.rest.git.createBlob.mockReturnValueOnce({data: {sha: 'blob-1'}});
+        const author = {name: 'Release Bot', email: 'release-bot@example.com'};
+        const committer = {name: 'CI', email: 'ci@example.com'};
+        await client.commitFiles([{path: 'package.json', content: 'test'}], 'test message', 'test-branch', {author, committer});
+        expect(octokit.rest.git.createCommit).toHaveBeenCalledWith({
+            owner: 'test',
+            repo: 'test',
+            message: 'test message',
+            tree: 'tree-sha',
+            parents: ['parent-sha'],
+            author,
+            committer,
+        });
+    });
+
+    it('should retry the requests', async () => {
+        expect(octokit.hook.wrap).toHaveBeenCalledWith('request', expect.any(Function));
+        const [, wrapper] = octokit.hook.wrap.mock.calls[0];
+        const request = jest.fn().mockResolvedValue({data: {}});
+        expect(await wrapper(request, {url: '/test'})).toEqual({data: {}});
+        expect(request).toHaveBeenCalledWith({url: '/test'});
+    });
+
+    it('should not retry a write when GitHub fails', async () => {
+        const [, wrapper] = octokit.hook.wrap.mock.calls[0];
+        const request = jest.fn().mockRejectedValue({status: 502, headers: {}});
+        await expect(wrapper(request, {method: 'POST', url: '/repos/test/test/issues/1/comments'})).rejects.toEqual({status: 502, headers: {}});
+        expect(request).toHaveBeenCalledTimes(1);
+    });
+
+    it('should fail with a conflict when the branch was updated while committing', async () => {
+        octokit.rest.git.createBlob.mockReturnValueOnce({data: {sha: 'blob-1'}});
+        octokit.rest.git.updateRef.mockRejectedValueOnce({status: 422, message: 'Update is not a fast forward'});
+        await expect(client.commitFiles([{path: 'package.json', content: 'test'}], 'test message', 'test-branch'))
+            .rejects.toThrow(Client.ConflictError);
+    });
+
+    it('should fail with a conflict when the branch moved on since the files were read', async () => {
+        await expect(client.commitFiles([{path: 'package.json', content: 'test'}], 'test message', 'test-branch', {}, 'read-sha'))
+            .rejects.toThrow(Client.ConflictError);
+        expect(octokit.rest.git.createBlob).not.toHaveBeenCalled();
+    });
+
+    it('should commit on top of the commit the files were read from', async () => {
+        octokit.rest.git.createBlob.mockReturnValueOnce({data: {sha: 'blob-1'}});
+        await client.commitFiles([{path: 'package.json', content: 'test'}], 'test message', 'test-branch', {}, 'parent-sha');
+        expect(octokit.rest.git.updateRef).toHaveBeenCalledWith({
+            owner: 'test',
+            repo: 'test',
+            ref: 'heads/test-branch',
+            sha: 'commit-sha',
+        });
+    });
+
+    it('should fail when the branch is protected', async () => {
+        octokit.rest.git.createBlob.mockReturnValueOnce({data: {sha: 'blob-1'}});
+        octokit.rest.git.updateRef.mockRejectedValueOnce({status: 422, message: 'Protected branch update failed for refs/heads/test-branch.'});
+        await expect(client.commitFiles([{path: 'package.json', content: 'test'}], 'test message', 'test-branch'))
+            .rejects.toThrow(Client.ProtectedBranchError);
+    });
+
+    it('should fail when the branch requires verified signatures', async () => {
+        octokit.rest.git.createBlob.mockReturnValueOnce({data: {sha: 'blob-1'}});
+        octokit.rest.git.updateRef.mockRejectedValueOnce({status: 422, message: 'Commits must have verified signatures.'});
+        await expect(client.commitFiles([{path: 'package.json', content: 'test'}], 'test message', 'test-branch'))
+            .rejects.toThrow(Client.ProtectedBranchError);
+    });
+
+    it('should fail with other errors when committing', async () => {
+        octokit.rest.git.createBlob.mockReturnValueOnce({data: {sha: 'blob-1'}});
+        octokit.rest.git.updateRef.mockRejectedValueOnce({status: 404, message: 'Not Found'});
+        await expect(client.commitFiles([{path: 'package.json', content: 'test'}], 'test message', 'test-branch'))
+            .rejects.toEqual({status: 404, message: 'Not Found'});
+    });
+
+    it('should determine the tag exists', async () => {
+        expect(await client.tagExists('v1.0.0')).toBe(true);
+        expect(octokit.rest.git.getRef).toHaveBeenCalledWith({
+            owner: 'test',
+            repo: 'test',
+            ref: 'tags/v1.0.0',
+        });
+    });
+
+    it('should determine the tag does not exist', async () => {
+        const error = new Error('Not Found');
+        error.status = 404;
+        octokit.rest.git.getRef.mockRejectedValueOnce(error);
+        expect(await client.tagExists('v1.0.0')).toBe(false);
+    });
+
+    it('should create an annotated tag', async () => {
+        await client.createTag('v1.0.0', 'commit-sha', 'Release v1.0.0');
+        expect(octokit.rest.git.createTag).toHaveBeenCalledWith({
+            owner: 'test',
+            repo: 'test',
+            tag: 'v1.0.0',
+            message: 'Release v1.0.0',
+            object: 'commit-sha',
+            type: 'commit',
+        });
+        expect(octokit.rest.git.createRef).toHaveBeenCalledWith({
+            owner: 'test',
+            repo: 'test',
+            ref: 'refs/tags/v1.0.0',
+            sha: 'tag-sha',
+        });
+    });
+
+    it('should move an existing tag', async () => {
+        await client.moveTag('v1', 'commit-sha');
+        expect(octokit.rest.git.updateRef).toHaveBeenCalledWith({
+            owner: 'test',
+            repo: 'test',
+            ref: 'tags/v1',
+            sha: 'commit-sha',
+            force: true,
+        });
+        expect(octokit.rest.git.createRef).not.toHaveBeenCalled();
+    });
+
+    it('should create a moved tag that does not exist', async () => {
+        const error = new Error('Not Found');
+        error.status = 404;
+        octokit.rest.git.getRef.mockRejectedValueOnce(error);
+        await client.moveTag('v1', 'commit-sha');
+        expect(octokit.rest.git.createRef).toHaveBeenCalledWith({
+            owner: 'test',
+            repo: 'test',
+            ref: 'refs/tags/v1',
+            sha: 'commit-sha',
+        });
+        expect(octokit.rest.git.updateRef).not.toHaveBeenCalled();
+    });
+
+    it('should create a release', async () => {
+        await client.createRelease('v1.0.0-rc.1', true);
+        expect(octokit.rest.repos.createRelease).toHaveBeenCalledWith({
+            owner: 'test',
+            repo: 'test',
+            tag_name: 'v1.0.0-rc.1',
+            name: 'v1.0.0-rc.1',
+            generate_release_notes: true,
+            prerelease: true,
         });
     });
 
@@ -74,4 +370,30 @@ describe('calling github apis', () => {
             ref: 'test-branch',
         });
     });
+
+    it('should get the decoded file content', async () => {
+        octokit.rest.repos.getContent.mockReturnValueOnce({data: {content: Buffer.from('1.0.0\n').toString('base64')}});
+        expect(await client.getFileContent('VERSION', 'head-sha')).toBe('1.0.0\n');
+        expect(octokit.rest.repos.getContent).toHaveBeenCalledWith({
+            owner: 'test',
+            repo: 'test',
+            path: 'VERSION',
+            ref: 'head-sha',
+        });
+    });
+
+    it('should not get the content of a file that does not exist', async () => {
+        octokit.rest.repos.getContent.mockRejectedValueOnce({status: 404});
+        expect(await client.getFileContent('VERSION', 'head-sha')).toBeUndefined();
+    });
+
+    it('should get the directories within a directory', async () => {
+        octokit.rest.repos.getContent.mockReturnValueOnce({
+            data: [{type: 'dir', path: 'packages/api'}, {type: 'file', path: 'packages/README.md'}, {type: 'dir', path: 'packages/web'}],
+        });
+        expect(await client.getDirectories('packages', 'head-sha')).toEqual(['packages/api', 'packages/web']);
+        expect(octokit.rest.repos.getContent).toHaveBeenCalledWith({owner: 'test', repo: 'test', path: 'packages', ref: 'head-sha'});
+        octokit.rest.repos.getContent.mockRejectedValueOnce({status: 404});
+        expect(await client.getDirectories('missing', 'head-sha')).toEqual([]);
+    });
 });
@@ -0,0 +1,54 @@
+const {execFileSync} = require('child_process');
+const util = require('./util');
+
+/**
+ * Reads the files of a local git repository in place of the GitHub API, so the handler runs outside of GitHub Actions.
+ */
+class GitClient {
+    /**
+     * Creates a new GitClient instance.
+     * @param cwd The directory within the repository. Defaults to the current directory.
+     */
+    constructor(cwd) {
+        this.cwd = cwd;
+    }
+
+    /**
+     * Get the content of a file, in the same shape as the GitHub API.
+     * @param path The path to the file, relative to the directory.
+     * @param ref The branch, tag or commit to get the content from.
+     * @returns {Promise<{content: string}>} The base64 encoded content of the file.
+     */
+    async getContent(path, ref) {
+        let content;
+        try {
+            content = execFileSync('git', ['show', `${ref}:./${path.replace(/^\.\//, '')}`], {
+                cwd: this.cwd,
+                encoding: 'utf8',
+                stdio: ['ignore', 'pipe', 'pipe'],
+            });
+        } catch (e) {
+            const stderr = String(e.stderr || '').trim();
+            // fail the same way the API does when the file does not exist
+            if (/does not exist|exists on disk, but not in/.test(stderr)) {
+                const error = new Error(`File ${path} does not exist in ${ref}.`);
+                error.status = 404;
+                throw error;
+            }
+            throw new Error(`Unable to read ${path} from ${ref}: ${stderr || e.message}`);
+        }
+        return {content: util.encode(content)};
+    }
+
+    /**
+     * Get the decoded content of the file.
+     * @param path The path to the file, relative to the directory.
+     * @param ref The branch, tag or commit to get the file from.
+     * @returns {Promise<string|undefined>} The content of the file or undefined if it does not exist.
+     */
+    async getFileContent(path, ref) {
+        return util.getFileContent(this, path, ref);
+    }
+}
+
+module.exports = GitClient;
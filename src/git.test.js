@@ -0,0 +1,44 @@
+const childProcess = require('child_process');
+const GitClient = require('./git');
+const util = require('./util');
+
+jest.mock('child_process', () => {
+    return {
+        execFileSync: jest.fn(),
+    };
+});
+
+describe('reading a local git repository', () => {
+    let client;
+
+    beforeEach(() => {
+        jest.resetAllMocks();
+        client = new GitClient('/repo');
+    });
+
+    it('should get the content of the file at the ref', async () => {
+        childProcess.execFileSync.mockReturnValue('1.0.0\n');
+        const content = await client.getContent('./VERSION', 'main');
+        expect(util.decode(content.content)).toBe('1.0.0\n');
+        expect(childProcess.execFileSync).toHaveBeenCalledWith('git', ['show', 'main:./VERSION'], {
+            cwd: '/repo',
+            encoding: 'utf8',
+            stdio: ['ignore', 'pipe', 'pipe'],
+        });
+    });
+
+    it('should fail like the API when the file does not exist', async () => {
+        childProcess.execFileSync.mockImplementation(() => {
+            throw Object.assign(new Error('Command failed'), {stderr: `fatal: path 'VERSION' does not exist in 'main'`});
+        });
+        await expect(client.getContent('VERSION', 'main')).rejects.toMatchObject({status: 404});
+        expect(await client.getFileContent('VERSION', 'main')).toBeUndefined();
+    });
+
+    it('should throw error when the ref does not exist', async () => {
+        childProcess.execFileSync.mockImplementation(() => {
+            throw Object.assign(new Error('Command failed'), {stderr: `fatal: invalid object name 'nope'.\n`});
+        });
+        await expect(client.getContent('VERSION', 'nope')).rejects.toThrow(`Unable to read VERSION from nope: fatal: invalid object name 'nope'.`);
+    });
+});
@@ -0,0 +1,282 @@
+const path = require('path');
+const {request} = require('./http');
+const Client = require('./client');
+const {withRetry} = require('./retry');
+const util = require('./util');
+
+const perPage = 50;
+
+/**
+ * Wrapper around the Gitea API, with the same methods as the GitHub client. Gitea already returns pull requests in the
+ * shape of GitHub pull requests.
+ */
+class GiteaClient {
+    /**
+     * Creates a new GiteaClient instance.
+     * @param apiUrl The URL of the API (e.g. https://gitea.example.com/api/v1).
+     * @param token The token to authenticate with.
+     * @param owner The owner of the repository.
+     * @param repo The name of the repository.
+     */
+    constructor(apiUrl, token, owner, repo) {
+        this.apiUrl = apiUrl.replace(/\/+$/, '');
+        this.token = token;
+        this.owner = owner;
+        this.repo = repo;
+    }
+
+    /**
+     * Get the pull request.
+     * @param number The pull request number.
+     * @returns {Promise<*>} The pull request.
+     */
+    async getPullRequest(number) {
+        const {data: pullRequest} = await this.request(`/pulls/${number}`);
+        return pullRequest;
+    }
+
+    /**
+     * Get the open pull requests.
+     * @returns {Promise<*[]>} The open pull requests.
+     */
+    async getOpenPullRequests() {
+        return this.paginate('/pulls?state=open');
+    }
+
+    /**
+     * Get the files changed by the pull request.
+     * @param number The pull request number.
+     * @returns {Promise<string[]>} The paths of the changed files.
+     */
+    async getPullRequestFiles(number) {
+        const files = await this.paginate(`/pulls/${number}/files`);
+        return files.map(file => file.filename);
+    }
+
+    /**
+     * Get the messages of the commits on the pull request.
+     * @param number The pull request number.
+     * @returns {Promise<string[]>} The commit messages.
+     */
+    async getPullRequestCommitMessages(number) {
+        const commits = await this.paginate(`/pulls/${number}/commits`);
+        return commits.map(commit => commit.commit.message);
+    }
+
+    /**
+     * Create or update the comment on the pull request that contains the marker, so the pull request only ever has a
+     * single comment of the action.
+     * @param number The pull request number.
+     * @param marker The marker identifying the comment.
+     * @param body The body of the comment. Must contain the marker.
+     * @returns {Promise<void>}
+     */
+    async upsertComment(number, marker, body) {
+        // the comments of an issue are not paginated
+        const {data: comments} = await this.request(`/issues/${number}/comments`);
+        const comment = comments.find(c => c.body && c.body.includes(marker));
+        if (comment) {
+            await this.request(`/issues/comments/${comment.id}`, {method: 'PATCH', body: {body}});
+        } else {
+            await this.request(`/issues/${number}/comments`, {method: 'POST', body: {body}});
+        }
+    }
+
+    /**
+     * Commit files to the repository as a single commit.
+     * @param files The files to commit, each with a path and content.
+     * @param message The commit message.
+     * @param branch The branch to commit to.
+     * @param identities The identities to commit as. Optional.
+     * @param identities.author The name and email of the author.
+     * @param identities.committer The name and email of the committer.
+     * @param sha The SHA of the commit the files were read from. Optional. When the branch has moved on since, the files
+     * would revert the changes of the newer commits, so the commit fails with a ConflictError.
+     * @returns {Promise<string>} The SHA of the new commit.
+     */
+    async commitFiles(files, message, branch, identities = {}, sha = undefined) {
+        if (sha && await this.getBranchSHA(branch) !== sha) {
+            throw new Client.ConflictError(`${branch} was updated while committing.`);
+        }
+        const changes = [];
+        for (const file of files) {
+            const filePath = path.posix.normalize(file.path);
+            // updating a file requires the SHA of the blob it replaces, which Gitea rejects once the file has changed
+            let existing;
+            try {
+                existing = await this.getContent(filePath, sha || branch);
+            } catch (e) {
+                if (e.status !== 404) {
+                    throw e;
+                }
+            }
+            changes.push({
+                operation: existing ? 'update' : 'create',
+                path: filePath,
+                content: util.encode(file.content),
+                sha: existing ? existing.sha : undefined,
+            });
+        }
+        try {
+            const {data} = await this.request('/contents', {
+                method: 'POST',
+                body: {branch, message, files: changes, author: identities.author, committer: identities.committer},
+            });
+            return data.commit.sha;
+        } catch (e) {
+            if (e.status === 409 || (e.status === 422 && /does not match|already exists/i.test(e.message))) {
+                throw new Client.ConflictError(`${branch} was updated while committing.`);
+            }
+            if (e.status === 403 && /protected|cannot commit|not allowed/i.test(e.message)) {
+                throw new Client.ProtectedBranchError(`Unable to commit to ${branch} because the branch is protected. Use a token that is allowed to push to ${branch}.`);
+            }
+            throw e;
+        }
+    }
+
+    /**
+     * Get the SHA of the commit the branch points to.
+     * @param branch The name of the branch.
+     * @returns {Promise<string>} The SHA of the commit.
+     */
+    async getBranchSHA(branch) {
+        const {data} = await this.request(`/branches/${encodeURIComponent(branch)}`);
+        return data.commit.id;
+    }
+
+    /**
+     * Get the names of the tags.
+     * @returns {Promise<string[]>} The names of the tags.
+     */
+    async getTags() {
+        const tags = await this.paginate('/tags');
+        return tags.map(tag => tag.name);
+    }
+
+    /**
+     * Determine if the tag exists.
+     * @param tag The name of the tag.
+     * @returns {Promise<boolean>} True if the tag exists.
+     */
+    async tagExists(tag) {
+        try {
+            await this.request(`/tags/${encodeURIComponent(tag)}`);
+            return true;
+        } catch (e) {
+            if (e.status === 404) {
+                return false;
+            }
+            throw e;
+        }
+    }
+
+    /**
+     * Create an annotated tag.
+     * @param tag The name of the tag.
+     * @param sha The SHA of the commit to tag.
+     * @param message The message of the tag.
+     * @returns {Promise<void>}
+     */
+    async createTag(tag, sha, message) {
+        await this.request('/tags', {method: 'POST', body: {tag_name: tag, target: sha, message}});
+    }
+
+    /**
+     * Move the lightweight tag to the commit, creating it when it does not exist yet.
+     * @param tag The name of the tag.
+     * @param sha The SHA of the commit.
+     * @returns {Promise<void>}
+     */
+    async moveTag(tag, sha) {
+        // tags cannot be updated, only deleted and created again
+        if (await this.tagExists(tag)) {
+            await this.request(`/tags/${encodeURIComponent(tag)}`, {method: 'DELETE'});
+        }
+        await this.request('/tags', {method: 'POST', body: {tag_name: tag, target: sha}});
+    }
+
+    /**
+     * Create a release of the tag.
+     * @param tag The name of the tag.
+     * @param prerelease Whether the release is a pre-release.
+     * @returns {Promise<*>} The release.
+     */
+    async createRelease(tag, prerelease) {
+        const {data: release} = await this.request('/releases', {method: 'POST', body: {tag_name: tag, name: tag, prerelease}});
+        return release;
+    }
+
+    /**
+     * Get the content of a file.
+     * @param filePath The path to the file.
+     * @param ref The branch or commit to get the content from.
+     * @returns {Promise<*>} The file, with the base64 encoded content.
+     */
+    async getContent(filePath, ref) {
+        const encoded = path.posix.normalize(filePath).split('/').map(encodeURIComponent).join('/');
+        const {data: file} = await this.request(`/contents/${encoded}?ref=${encodeURIComponent(ref)}`);
+        return file;
+    }
+
+    /**
+     * Get the decoded content of the file.
+     * @param filePath The path to the file.
+     * @param ref The branch or commit to get the file from.
+     * @returns {Promise<string|undefined>} The content of the file or undefined if it does not exist.
+     */
+    async getFileContent(filePath, ref) {
+        return util.getFileContent(this, filePath, ref);
+    }
+
+    /**
+     * Get the directories within the directory.
+     * @param dirPath The path to the directory.
+     * @param ref The branch or commit to get the directories from.
+     * @returns {Promise<string[]>} The paths of the directories, empty if the directory does not exist.
+     */
+    async getDirectories(dirPath, ref) {
+        const encoded = dirPath === '.' ? '' : `/${path.posix.normalize(dirPath).split('/').map(encodeURIComponent).join('/')}`;
+        let entries;
+        try {
+            ({data: entries} = await this.request(`/contents${encoded}?ref=${encodeURIComponent(ref)}`));
+        } catch (e) {
+            if (e.status === 404) {
+                return [];
+            }
+            throw e;
+        }
+        return Array.isArray(entries) ? entries.filter(entry => entry.type === 'dir').map(entry => entry.path) : [];
+    }
+
+    /**
+     * Sends a request to the API of the repository, retrying when rate limited or when the server fails.
+     * @param resource The path of the resource within the repository.
+     * @param options Additional options for the request.
+     * @returns {Promise<{status: number, headers: *, data: *}>} The response.
+     */
+    async request(resource, options = {}) {
+        return withRetry(() => request(`${this.apiUrl}/repos/${encodeURIComponent(this.owner)}/${encodeURIComponent(this.repo)}${resource}`, {
+            ...options,
+            headers: {authorization: `token ${this.token}`},
+        }), {method: options.method});
+    }
+
+    /**
+     * Gets every page of a list resource of the repository.
+     * @param resource The path of the resource within the repository.
+     * @returns {Promise<*[]>} The items of all the pages.
+     */
+    async paginate(resource) {
+        const items = [];
+        const separator = resource.includes('?') ? '&' : '?';
+        for (let page = 1; ; page++) {
+            const {data} = await this.request(`${resource}${separator}limit=${perPage}&page=${page}`);
+            items.push(...data);
+            if (data.length < perPage) {
+                return items;
+            }
+        }
+    }
+}
+
+module.exports = GiteaClient;
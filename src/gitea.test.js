@@ -0,0 +1,136 @@
+const Client = require('./client');
+const GiteaClient = require('./gitea');
+const util = require('./util');
+const {useMockServer} = require('./test-server');
+
+describe('calling gitea apis', () => {
+    const server = useMockServer({message: 'The target couldn\'t be found.'});
+    const {routes, requests} = server;
+    let client;
+
+    beforeEach(() => {
+        client = new GiteaClient(`${server.url()}/api/v1`, 'secret', 'org', 'app');
+    });
+
+    it('should get the pull request', async () => {
+        const pullRequest = {number: 7, title: 'Add login', labels: [{name: 'version:minor'}], head: {ref: 'login', sha: 'abc'}, base: {ref: 'main'}};
+        routes['GET /api/v1/repos/org/app/pulls/7'] = {body: pullRequest};
+        expect(await client.getPullRequest(7)).toEqual(pullRequest);
+        expect(requests[0].headers.authorization).toBe('token secret');
+    });
+
+    it('should get every page of the commit messages', async () => {
+        const page = Array.from({length: 50}, (_, i) => ({commit: {message: `fix: ${i}`}}));
+        routes['GET /api/v1/repos/org/app/pulls/7/commits?limit=50&page=1'] = {body: page};
+        routes['GET /api/v1/repos/org/app/pulls/7/commits?limit=50&page=2'] = {body: [{commit: {message: 'feat: login'}}]};
+        const messages = await client.getPullRequestCommitMessages(7);
+        expect(messages).toHaveLength(51);
+        expect(messages[50]).toBe('feat: login');
+    });
+
+    it('should get the open pull requests and tags', async () => {
+        routes['GET /api/v1/repos/org/app/pulls?state=open&limit=50&page=1'] = {body: [{number: 6}]};
+        routes['GET /api/v1/repos/org/app/tags?limit=50&page=1'] = {body: [{name: 'v1.0.0'}]};
+        expect(await client.getOpenPullRequests()).toEqual([{number: 6}]);
+        expect(await client.getTags()).toEqual(['v1.0.0']);
+    });
+
+    it('should get the file at the ref', async () => {
+        routes['GET /api/v1/repos/org/app/contents/packages/api/package.json?ref=login'] = {
+            body: {content: util.encode('{"version": "1.0.0"}'), sha: 'blob'},
+        };
+        expect(await client.getFileContent('packages/api/package.json', 'login')).toBe('{"version": "1.0.0"}');
+        expect(await client.getFileContent('missing.json', 'login')).toBeUndefined();
+    });
+
+    it('should get the directories within a directory', async () => {
+        routes['GET /api/v1/repos/org/app/contents/packages?ref=login'] = {
+            body: [{type: 'dir', path: 'packages/api'}, {type: 'file', path: 'packages/README.md'}],
+        };
+        routes['GET /api/v1/repos/org/app/contents?ref=login'] = {body: [{type: 'dir', path: 'packages'}]};
+        expect(await client.getDirectories('packages', 'login')).toEqual(['packages/api']);
+        expect(await client.getDirectories('.', 'login')).toEqual(['packages']);
+        expect(await client.getDirectories('missing', 'login')).toEqual([]);
+    });
+
+    it('should commit the files as a single commit', async () => {
+        routes['GET /api/v1/repos/org/app/contents/package.json?ref=login'] = {body: {content: '', sha: 'blob'}};
+        routes['POST /api/v1/repos/org/app/contents'] = {status: 201, body: {commit: {sha: 'commit-sha'}}};
+        const sha = await client.commitFiles([
+            {path: './package.json', content: '{"version": "1.1.0"}'},
+            {path: 'CHANGELOG.md', content: '# Changelog'},
+        ], 'Bump minor version', 'login');
+        expect(sha).toBe('commit-sha');
+        expect(requests[requests.length - 1].body).toEqual({
+            branch: 'login',
+            message: 'Bump minor version',
+            files: [
+                {operation: 'update', path: 'package.json', content: util.encode('{"version": "1.1.0"}'), sha: 'blob'},
+                {operation: 'create', path: 'CHANGELOG.md', content: util.encode('# Changelog')},
+            ],
+        });
+    });
+
+    it('should commit the files as the author and committer', async () => {
+        routes['GET /api/v1/repos/org/app/contents/package.json?ref=login'] = {body: {content: '', sha: 'blob'}};
+        routes['POST /api/v1/repos/org/app/contents'] = {status: 201, body: {commit: {sha: 'commit-sha'}}};
+        const author = {name: 'Release Bot', email: 'release-bot@example.com'};
+        const committer = {name: 'CI', email: 'ci@example.com'};
+        await client.commitFiles([{path: 'package.json', content: '{"version": "1.1.0"}'}], 'Bump minor version', 'login', {author, committer});
+        expect(requests[requests.length - 1].body).toMatchObject({author, committer});
+    });
+
+    it('should fail with a conflict when the branch moved on since the files were read', async () => {
+        routes['GET /api/v1/repos/org/app/branches/login'] = {body: {commit: {id: 'newer-sha'}}};
+        await expect(client.commitFiles([{path: 'package.json', content: '{}'}], 'Bump minor version', 'login', {}, 'read-sha'))
+            .rejects.toThrow(Client.ConflictError);
+        expect(requests.some(r => r.method === 'POST')).toBe(false);
+    });
+
+    it('should take the SHA of the blobs from the commit they were read from', async () => {
+        routes['GET /api/v1/repos/org/app/branches/login'] = {body: {commit: {id: 'read-sha'}}};
+        routes['GET /api/v1/repos/org/app/contents/package.json?ref=read-sha'] = {body: {content: '', sha: 'blob'}};
+        routes['POST /api/v1/repos/org/app/contents'] = {status: 201, body: {commit: {sha: 'commit-sha'}}};
+        await client.commitFiles([{path: 'package.json', content: '{}'}], 'Bump minor version', 'login', {}, 'read-sha');
+        expect(requests[requests.length - 1].body.files[0]).toMatchObject({operation: 'update', sha: 'blob'});
+    });
+
+    it('should fail with a conflict when the file changed while committing', async () => {
+        routes['GET /api/v1/repos/org/app/contents/package.json?ref=login'] = {body: {content: '', sha: 'blob'}};
+        routes['POST /api/v1/repos/org/app/contents'] = {status: 422, body: {message: 'sha does not match [given: blob, expected: newer-blob]'}};
+        await expect(client.commitFiles([{path: 'package.json', content: '{}'}], 'Bump minor version', 'login'))
+            .rejects.toThrow(Client.ConflictError);
+        routes['POST /api/v1/repos/org/app/contents'] = {status: 409, body: {message: 'Conflict'}};
+        await expect(client.commitFiles([{path: 'package.json', content: '{}'}], 'Bump minor version', 'login'))
+            .rejects.toThrow(Client.ConflictError);
+    });
+
+    it('should fail when the branch is protected', async () => {
+        routes['GET /api/v1/repos/org/app/contents/package.json?ref=login'] = {body: {content: '', sha: 'blob'}};
+        routes['POST /api/v1/repos/org/app/contents'] = {status: 403, body: {message: 'user cannot commit to repo [user: bot]'}};
+        await expect(client.commitFiles([{path: 'package.json', content: '{}'}], 'Bump minor version', 'login'))
+            .rejects.toThrow(Client.ProtectedBranchError);
+    });
+
+    it('should update the existing comment', async () => {
+        routes['GET /api/v1/repos/org/app/issues/7/comments'] = {body: [{id: 1, body: 'other'}, {id: 2, body: '<!-- marker -->\nold'}]};
+        routes['PATCH /api/v1/repos/org/app/issues/comments/2'] = {body: {id: 2}};
+        await client.upsertComment(7, '<!-- marker -->', '<!-- marker -->\nnew');
+        expect(requests[1]).toMatchObject({method: 'PATCH', body: {body: '<!-- marker -->\nnew'}});
+    });
+
+    it('should tag and release', async () => {
+        routes['POST /api/v1/repos/org/app/tags'] = {status: 201, body: {}};
+        routes['POST /api/v1/repos/org/app/releases'] = {status: 201, body: {tag_name: 'v1.1.0-rc.0'}};
+        expect(await client.tagExists('v1')).toBe(false);
+        await client.createTag('v1.1.0-rc.0', 'sha', 'Release v1.1.0-rc.0');
+        await client.createRelease('v1.1.0-rc.0', true);
+        await client.moveTag('v1', 'sha');
+        expect(requests.slice(1).map(r => [r.method, r.url, r.body])).toEqual([
+            ['POST', '/api/v1/repos/org/app/tags', {tag_name: 'v1.1.0-rc.0', target: 'sha', message: 'Release v1.1.0-rc.0'}],
+            ['POST', '/api/v1/repos/org/app/releases', {tag_name: 'v1.1.0-rc.0', name: 'v1.1.0-rc.0', prerelease: true}],
+            ['GET', '/api/v1/repos/org/app/tags/v1', undefined],
+            ['POST', '/api/v1/repos/org/app/tags', {tag_name: 'v1', target: 'sha'}],
+        ]);
+    });
+});
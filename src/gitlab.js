@@ -0,0 +1,302 @@
+const path = require('path');
+const {request} = require('./http');
+const Client = require('./client');
+const {withRetry} = require('./retry');
+const util = require('./util');
+
+const perPage = 100;
+
+/**
+ * Wrapper around the GitLab API, with the same methods as the GitHub client. Merge requests are returned in the shape
+ * of GitHub pull requests.
+ */
+class GitLabClient {
+    /**
+     * Creates a new GitLabClient instance.
+     * @param apiUrl The URL of the v4 API (e.g. https://gitlab.example.com/api/v4).
+     * @param token The token to authenticate with.
+     * @param project The ID or path (e.g. group/project) of the project.
+     */
+    constructor(apiUrl, token, project) {
+        this.apiUrl = apiUrl.replace(/\/+$/, '');
+        this.token = token;
+        this.project = encodeURIComponent(project);
+    }
+
+    /**
+     * Get the merge request.
+     * @param number The IID of the merge request.
+     * @returns {Promise<*>} The merge request.
+     */
+    async getPullRequest(number) {
+        const {data: mergeRequest} = await this.request(`/merge_requests/${number}`);
+        return toPullRequest(mergeRequest);
+    }
+
+    /**
+     * Get the open merge requests.
+     * @returns {Promise<*[]>} The open merge requests.
+     */
+    async getOpenPullRequests() {
+        const mergeRequests = await this.paginate('/merge_requests?state=opened');
+        return mergeRequests.map(toPullRequest);
+    }
+
+    /**
+     * Get the files changed by the merge request.
+     * @param number The IID of the merge request.
+     * @returns {Promise<string[]>} The paths of the changed files.
+     */
+    async getPullRequestFiles(number) {
+        const diffs = await this.paginate(`/merge_requests/${number}/diffs`);
+        return diffs.map(diff => diff.new_path);
+    }
+
+    /**
+     * Get the messages of the commits on the merge request.
+     * @param number The IID of the merge request.
+     * @returns {Promise<string[]>} The commit messages.
+     */
+    async getPullRequestCommitMessages(number) {
+        const commits = await this.paginate(`/merge_requests/${number}/commits`);
+        return commits.map(commit => commit.message);
+    }
+
+    /**
+     * Create or update the note on the merge request that contains the marker, so the merge request only ever has a
+     * single note of the action.
+     * @param number The IID of the merge request.
+     * @param marker The marker identifying the note.
+     * @param body The body of the note. Must contain the marker.
+     * @returns {Promise<void>}
+     */
+    async upsertComment(number, marker, body) {
+        const notes = await this.paginate(`/merge_requests/${number}/notes`);
+        const note = notes.find(n => n.body && n.body.includes(marker));
+        if (note) {
+            await this.request(`/merge_requests/${number}/notes/${note.id}`, {method: 'PUT', body: {body}});
+        } else {
+            await this.request(`/merge_requests/${number}/notes`, {method: 'POST', body: {body}});
+        }
+    }
+
+    /**
+     * Commit files to the repository as a single commit.
+     * @param files The files to commit, each with a path and content.
+     * @param message The commit message.
+     * @param branch The branch to commit to.
+     * @param identities The identities to commit as. Optional.
+     * @param identities.author The name and email of the author. GitLab has no separate committer.
+     * @param sha The SHA of the commit the files were read from. Optional. When the branch has moved on since, the files
+     * would revert the changes of the newer commits, so the commit fails with a ConflictError.
+     * @returns {Promise<string>} The SHA of the new commit.
+     */
+    async commitFiles(files, message, branch, identities = {}, sha = undefined) {
+        if (sha && await this.getBranchSHA(branch) !== sha) {
+            throw new Client.ConflictError(`${branch} was updated while committing.`);
+        }
+        const actions = [];
+        for (const file of files) {
+            const filePath = path.posix.normalize(file.path);
+            // a file that does not exist yet (e.g. a new changelog) has to be created rather than updated
+            let existing;
+            try {
+                // the last commit of the file is that of the read, so a commit that lands meanwhile is still rejected
+                existing = await this.getContent(filePath, sha || branch);
+            } catch (e) {
+                if (e.status !== 404) {
+                    throw e;
+                }
+            }
+            actions.push({
+                action: existing ? 'update' : 'create',
+                file_path: filePath,
+                content: util.encode(file.content),
+                encoding: 'base64',
+                // GitLab rejects the commit when the file has changed since
+                ...(existing && {last_commit_id: existing.last_commit_id}),
+            });
+        }
+        try {
+            const {data: commit} = await this.request('/repository/commits', {
+                method: 'POST',
+                body: {
+                    branch,
+                    commit_message: message,
+                    actions,
+                    ...(identities.author && {author_name: identities.author.name, author_email: identities.author.email}),
+                },
+            });
+            return commit.id;
+        } catch (e) {
+            if (e.status === 400 && /changed since/i.test(e.message)) {
+                throw new Client.ConflictError(`${branch} was updated while committing.`);
+            }
+            if (e.status === 403 && /not allowed to push|protected/i.test(e.message)) {
+                throw new Client.ProtectedBranchError(`Unable to commit to ${branch} because the branch is protected. Use a token that is allowed to push to ${branch}.`);
+            }
+            throw e;
+        }
+    }
+
+    /**
+     * Get the SHA of the commit the branch points to.
+     * @param branch The name of the branch.
+     * @returns {Promise<string>} The SHA of the commit.
+     */
+    async getBranchSHA(branch) {
+        const {data} = await this.request(`/repository/branches/${encodeURIComponent(branch)}`);
+        return data.commit.id;
+    }
+
+    /**
+     * Get the names of the tags.
+     * @returns {Promise<string[]>} The names of the tags.
+     */
+    async getTags() {
+        const tags = await this.paginate('/repository/tags');
+        return tags.map(tag => tag.name);
+    }
+
+    /**
+     * Determine if the tag exists.
+     * @param tag The name of the tag.
+     * @returns {Promise<boolean>} True if the tag exists.
+     */
+    async tagExists(tag) {
+        try {
+            await this.request(`/repository/tags/${encodeURIComponent(tag)}`);
+            return true;
+        } catch (e) {
+            if (e.status === 404) {
+                return false;
+            }
+            throw e;
+        }
+    }
+
+    /**
+     * Create an annotated tag.
+     * @param tag The name of the tag.
+     * @param sha The SHA of the commit to tag.
+     * @param message The message of the tag.
+     * @returns {Promise<void>}
+     */
+    async createTag(tag, sha, message) {
+        await this.request('/repository/tags', {method: 'POST', body: {tag_name: tag, ref: sha, message}});
+    }
+
+    /**
+     * Move the lightweight tag to the commit, creating it when it does not exist yet.
+     * @param tag The name of the tag.
+     * @param sha The SHA of the commit.
+     * @returns {Promise<void>}
+     */
+    async moveTag(tag, sha) {
+        // tags cannot be updated, only deleted and created again
+        if (await this.tagExists(tag)) {
+            await this.request(`/repository/tags/${encodeURIComponent(tag)}`, {method: 'DELETE'});
+        }
+        await this.request('/repository/tags', {method: 'POST', body: {tag_name: tag, ref: sha}});
+    }
+
+    /**
+     * Create a release of the tag. GitLab has no pre-releases, so every release is a regular release.
+     * @param tag The name of the tag.
+     * @returns {Promise<*>} The release.
+     */
+    async createRelease(tag) {
+        const {data: release} = await this.request('/releases', {method: 'POST', body: {tag_name: tag, name: tag}});
+        return release;
+    }
+
+    /**
+     * Get the content of a file.
+     * @param filePath The path to the file.
+     * @param ref The branch or commit to get the content from.
+     * @returns {Promise<*>} The file, with the base64 encoded content.
+     */
+    async getContent(filePath, ref) {
+        const {data: file} = await this.request(`/repository/files/${encodeURIComponent(path.posix.normalize(filePath))}?ref=${encodeURIComponent(ref)}`);
+        return file;
+    }
+
+    /**
+     * Get the decoded content of the file.
+     * @param filePath The path to the file.
+     * @param ref The branch or commit to get the file from.
+     * @returns {Promise<string|undefined>} The content of the file or undefined if it does not exist.
+     */
+    async getFileContent(filePath, ref) {
+        return util.getFileContent(this, filePath, ref);
+    }
+
+    /**
+     * Get the directories within the directory.
+     * @param dirPath The path to the directory.
+     * @param ref The branch or commit to get the directories from.
+     * @returns {Promise<string[]>} The paths of the directories, empty if the directory does not exist.
+     */
+    async getDirectories(dirPath, ref) {
+        const within = dirPath === '.' ? '' : `path=${encodeURIComponent(path.posix.normalize(dirPath))}&`;
+        let entries;
+        try {
+            entries = await this.paginate(`/repository/tree?${within}ref=${encodeURIComponent(ref)}`);
+        } catch (e) {
+            if (e.status === 404) {
+                return [];
+            }
+            throw e;
+        }
+        return entries.filter(entry => entry.type === 'tree').map(entry => entry.path);
+    }
+
+    /**
+     * Sends a request to the API of the project, retrying when rate limited or when the server fails.
+     * @param resource The path of the resource within the project.
+     * @param options Additional options for the request.
+     * @returns {Promise<{status: number, headers: *, data: *}>} The response.
+     */
+    async request(resource, options = {}) {
+        return withRetry(() => request(`${this.apiUrl}/projects/${this.project}${resource}`, {
+            ...options,
+            headers: {authorization: `Bearer ${this.token}`},
+        }), {method: options.method});
+    }
+
+    /**
+     * Gets every page of a list resource of the project.
+     * @param resource The path of the resource within the project.
+     * @returns {Promise<*[]>} The items of all the pages.
+     */
+    async paginate(resource) {
+        const items = [];
+        const separator = resource.includes('?') ? '&' : '?';
+        for (let page = 1; ; page++) {
+            const {data} = await this.request(`${resource}${separator}per_page=${perPage}&page=${page}`);
+            items.push(...data);
+            if (data.length < perPage) {
+                return items;
+            }
+        }
+    }
+}
+
+/**
+ * Converts a merge request into the shape of a GitHub pull request.
+ * @param mergeRequest The merge request.
+ * @returns {*} The pull request.
+ */
+const toPullRequest = (mergeRequest) => {
+    return {
+        number: mergeRequest.iid,
+        title: mergeRequest.title,
+        body: mergeRequest.description,
+        labels: (mergeRequest.labels || []).map(name => ({name})),
+        // the merge request of a fork has its source branch in another project
+        head: {ref: mergeRequest.source_branch, sha: mergeRequest.sha, repo: {full_name: String(mergeRequest.source_project_id)}},
+        base: {ref: mergeRequest.target_branch, repo: {full_name: String(mergeRequest.target_project_id)}},
+    };
+};
+
+module.exports = GitLabClient;
@@ -0,0 +1,149 @@
+const Client = require('./client');
+const GitLabClient = require('./gitlab');
+const util = require('./util');
+const {useMockServer} = require('./test-server');
+
+describe('calling gitlab apis', () => {
+    const server = useMockServer({message: '404 Not Found'});
+    const {routes, requests} = server;
+    let client;
+
+    beforeEach(() => {
+        client = new GitLabClient(`${server.url()}/api/v4/`, 'secret', 'group/app');
+    });
+
+    it('should get the merge request as a pull request', async () => {
+        routes['GET /api/v4/projects/group%2Fapp/merge_requests/7'] = {
+            body: {iid: 7, title: 'Add login', description: 'notes', labels: ['version:minor'], source_branch: 'login', target_branch: 'main', sha: 'abc', source_project_id: 2, target_project_id: 1},
+        };
+        expect(await client.getPullRequest(7)).toEqual({
+            number: 7,
+            title: 'Add login',
+            body: 'notes',
+            labels: [{name: 'version:minor'}],
+            head: {ref: 'login', sha: 'abc', repo: {full_name: '2'}},
+            base: {ref: 'main', repo: {full_name: '1'}},
+        });
+        expect(requests[0].headers.authorization).toBe('Bearer secret');
+    });
+
+    it('should get every page of the changed files', async () => {
+        const page = Array.from({length: 100}, (_, i) => ({new_path: `src/${i}.js`}));
+        routes['GET /api/v4/projects/group%2Fapp/merge_requests/7/diffs?per_page=100&page=1'] = {body: page};
+        routes['GET /api/v4/projects/group%2Fapp/merge_requests/7/diffs?per_page=100&page=2'] = {body: [{new_path: 'package.json'}]};
+        const files = await client.getPullRequestFiles(7);
+        expect(files).toHaveLength(101);
+        expect(files[100]).toBe('package.json');
+    });
+
+    it('should get the file at the ref', async () => {
+        routes['GET /api/v4/projects/group%2Fapp/repository/files/packages%2Fapi%2Fpackage.json?ref=login'] = {
+            body: {content: util.encode('{"version": "1.0.0"}')},
+        };
+        expect(await client.getFileContent('./packages/api/package.json', 'login')).toBe('{"version": "1.0.0"}');
+        expect(await client.getFileContent('missing.json', 'login')).toBeUndefined();
+        await expect(client.getContent('missing.json', 'login')).rejects.toMatchObject({status: 404});
+    });
+
+    it('should get the directories within a directory', async () => {
+        routes['GET /api/v4/projects/group%2Fapp/repository/tree?path=packages&ref=login&per_page=100&page=1'] = {
+            body: [{type: 'tree', path: 'packages/api'}, {type: 'blob', path: 'packages/README.md'}],
+        };
+        routes['GET /api/v4/projects/group%2Fapp/repository/tree?ref=login&per_page=100&page=1'] = {body: [{type: 'tree', path: 'packages'}]};
+        expect(await client.getDirectories('packages', 'login')).toEqual(['packages/api']);
+        expect(await client.getDirectories('.', 'login')).toEqual(['packages']);
+        expect(await client.getDirectories('missing', 'login')).toEqual([]);
+    });
+
+    it('should commit the files as a single commit', async () => {
+        routes['GET /api/v4/projects/group%2Fapp/repository/files/package.json?ref=login'] = {body: {content: '', last_commit_id: 'file-sha'}};
+        routes['POST /api/v4/projects/group%2Fapp/repository/commits'] = {status: 201, body: {id: 'commit-sha'}};
+        const sha = await client.commitFiles([
+            {path: 'package.json', content: '{"version": "1.1.0"}'},
+            {path: 'CHANGELOG.md', content: '# Changelog'},
+        ], 'Bump minor version', 'login');
+        expect(sha).toBe('commit-sha');
+        expect(requests[requests.length - 1].body).toEqual({
+            branch: 'login',
+            commit_message: 'Bump minor version',
+            actions: [
+                {action: 'update', file_path: 'package.json', content: util.encode('{"version": "1.1.0"}'), encoding: 'base64', last_commit_id: 'file-sha'},
+                {action: 'create', file_path: 'CHANGELOG.md', content: util.encode('# Changelog'), encoding: 'base64'},
+            ],
+        });
+    });
+
+    it('should commit the files as the author', async () => {
+        routes['GET /api/v4/projects/group%2Fapp/repository/files/package.json?ref=login'] = {body: {content: ''}};
+        routes['POST /api/v4/projects/group%2Fapp/repository/commits'] = {status: 201, body: {id: 'commit-sha'}};
+        await client.commitFiles([{path: 'package.json', content: '{"version": "1.1.0"}'}], 'Bump minor version', 'login', {
+            author: {name: 'Release Bot', email: 'release-bot@example.com'},
+        });
+        expect(requests[requests.length - 1].body).toMatchObject({author_name: 'Release Bot', author_email: 'release-bot@example.com'});
+    });
+
+    it('should fail with a conflict when the file changed while committing', async () => {
+        routes['GET /api/v4/projects/group%2Fapp/repository/files/package.json?ref=login'] = {body: {content: '', last_commit_id: 'file-sha'}};
+        routes['POST /api/v4/projects/group%2Fapp/repository/commits'] = {
+            status: 400,
+            body: {message: 'You are attempting to update a file that has changed since you started editing it.'},
+        };
+        await expect(client.commitFiles([{path: 'package.json', content: '{}'}], 'Bump minor version', 'login'))
+            .rejects.toThrow(Client.ConflictError);
+    });
+
+    it('should fail with a conflict when the branch moved on since the files were read', async () => {
+        routes['GET /api/v4/projects/group%2Fapp/repository/branches/login'] = {body: {commit: {id: 'newer-sha'}}};
+        await expect(client.commitFiles([{path: 'package.json', content: '{}'}], 'Bump minor version', 'login', {}, 'read-sha'))
+            .rejects.toThrow(Client.ConflictError);
+        expect(requests.some(r => r.method === 'POST')).toBe(false);
+    });
+
+    it('should take the last commit of the files from the commit they were read from', async () => {
+        routes['GET /api/v4/projects/group%2Fapp/repository/branches/login'] = {body: {commit: {id: 'read-sha'}}};
+        routes['GET /api/v4/projects/group%2Fapp/repository/files/package.json?ref=read-sha'] = {body: {content: '', last_commit_id: 'file-sha'}};
+        routes['POST /api/v4/projects/group%2Fapp/repository/commits'] = {status: 201, body: {id: 'commit-sha'}};
+        await client.commitFiles([{path: 'package.json', content: '{}'}], 'Bump minor version', 'login', {}, 'read-sha');
+        expect(requests[requests.length - 1].body.actions[0]).toMatchObject({action: 'update', last_commit_id: 'file-sha'});
+    });
+
+    it('should fail when the branch is protected', async () => {
+        routes['GET /api/v4/projects/group%2Fapp/repository/files/package.json?ref=login'] = {body: {content: '', last_commit_id: 'file-sha'}};
+        routes['POST /api/v4/projects/group%2Fapp/repository/commits'] = {status: 403, body: {message: 'You are not allowed to push into this branch'}};
+        await expect(client.commitFiles([{path: 'package.json', content: '{}'}], 'Bump minor version', 'login'))
+            .rejects.toThrow(Client.ProtectedBranchError);
+    });
+
+    it('should update the existing note', async () => {
+        routes['GET /api/v4/projects/group%2Fapp/merge_requests/7/notes?per_page=100&page=1'] = {body: [{id: 1, body: 'other'}, {id: 2, body: '<!-- marker -->\nold'}]};
+        routes['PUT /api/v4/projects/group%2Fapp/merge_requests/7/notes/2'] = {body: {id: 2}};
+        await client.upsertComment(7, '<!-- marker -->', '<!-- marker -->\nnew');
+        expect(requests[1]).toMatchObject({method: 'PUT', body: {body: '<!-- marker -->\nnew'}});
+    });
+
+    it('should create the note', async () => {
+        routes['GET /api/v4/projects/group%2Fapp/merge_requests/7/notes?per_page=100&page=1'] = {body: []};
+        routes['POST /api/v4/projects/group%2Fapp/merge_requests/7/notes'] = {status: 201, body: {id: 3}};
+        await client.upsertComment(7, '<!-- marker -->', '<!-- marker -->\nnew');
+        expect(requests[1]).toMatchObject({method: 'POST', body: {body: '<!-- marker -->\nnew'}});
+    });
+
+    it('should tag and release', async () => {
+        routes['GET /api/v4/projects/group%2Fapp/repository/tags?per_page=100&page=1'] = {body: [{name: 'v1.0.0'}]};
+        routes['GET /api/v4/projects/group%2Fapp/repository/tags/v1'] = {body: {name: 'v1'}};
+        routes['DELETE /api/v4/projects/group%2Fapp/repository/tags/v1'] = {status: 204};
+        routes['POST /api/v4/projects/group%2Fapp/repository/tags'] = {status: 201, body: {}};
+        routes['POST /api/v4/projects/group%2Fapp/releases'] = {status: 201, body: {tag_name: 'v1.1.0'}};
+        expect(await client.getTags()).toEqual(['v1.0.0']);
+        expect(await client.tagExists('v1.1.0')).toBe(false);
+        await client.createTag('v1.1.0', 'sha', 'Release v1.1.0');
+        expect(await client.createRelease('v1.1.0', false)).toEqual({tag_name: 'v1.1.0'});
+        await client.moveTag('v1', 'sha');
+        expect(requests.map(r => `${r.method} ${r.url}`).slice(-3)).toEqual([
+            'GET /api/v4/projects/group%2Fapp/repository/tags/v1',
+            'DELETE /api/v4/projects/group%2Fapp/repository/tags/v1',
+            'POST /api/v4/projects/group%2Fapp/repository/tags',
+        ]);
+        expect(requests[2].body).toEqual({tag_name: 'v1.1.0', ref: 'sha', message: 'Release v1.1.0'});
+    });
+});
@@ -1,9 +1,33 @@
 const core = require('@actions/core');
 const fs = require('fs');
+const changelog = require('./changelog');
+const {posix} = require('path');
+const json = require('./json');
+const Registry = require('./registry');
 const util = require('./util');
+const toml = require('./toml');
+const workspace = require('./workspace');
+const xml = require('./xml');
 
-const pomRegex = '<version>([0-9.]+)</version>';
-const gradleRegex = 'version=([0-9.]+)';
+const gradleRegex = /^[ \t]*(?:project\.)?version(?:[ \t]*=[ \t]*|[ \t]+)["']?(?<version>[0-9A-Za-z.+-]+)/m;
+const propertiesRegex = /^[ \t]*version[ \t]*[=:][ \t]*(?<version>[0-9A-Za-z.+-]+)/m;
+const setupCfgRegex = /^\[metadata][ \t]*$(?:(?!^\[)[^])*?^[ \t]*version[ \t]*[=:][ \t]*(?<version>[0-9A-Za-z.+-]+)/m;
+const versionFileRegex = /^\s*(?<version>[0-9A-Za-z.+-]+)/;
+const npmLockfiles = ['package-lock.json', 'npm-shrinkwrap.json'];
+
+// locates the version within the content of each of the built-in file types
+const finders = {
+    packageJSON: content => json.findValue(content, ['version']),
+    pom: content => findPOMVersion(content),
+    gradle: content => util.findRegexVersion(content, gradleRegex),
+    properties: content => util.findRegexVersion(content, propertiesRegex),
+    versionCatalog: content => toml.findValue(content, 'versions', 'project') || toml.findValue(content, 'versions', 'version'),
+    pyProject: content => toml.findValue(content, 'project', 'version') || toml.findValue(content, 'tool.poetry', 'version'),
+    setupCfg: content => util.findRegexVersion(content, setupCfgRegex),
+    cargo: content => toml.findValue(content, 'package', 'version') || toml.findValue(content, 'workspace.package', 'version'),
+    msBuild: content => xml.findElement(content, 'Project/PropertyGroup/Version'),
+    versionFile: content => util.findRegexVersion(content, versionFileRegex),
+};
 
 /**
  * Handler for the files to be updated.
@@ -14,124 +38,448 @@ class Handler {
      * @param client The client to use for the update.
      * @param mainBranch The main branch to use for the update.
      * @param versionToIncrement The version to increment.
+     * @param options Additional options for the update.
+     * @param options.preReleaseId The identifier to use for pre-release versions (e.g. rc).
+     * @param options.packageName The name of the package being updated when running against a monorepo.
+     * @param options.projectName The name of the project (e.g. the repository), the name of the commit message when not
+     * running against a monorepo. Optional.
+     * @param options.registry The registry of the supported file types. Defaults to the built-in file types.
+     * @param options.collisions The versions to avoid, so the same version is not released twice. Optional.
+     * @param options.collisions.versions The versions of the existing tags.
+     * @param options.collisions.pullRequests The other open pull requests whose versions are taken.
+     * @param options.collisions.bump Whether to bump past a taken version instead of failing.
+     * @param options.branch The branch or commit to read the files of the branch from through the API. When not set, the
+     * branch is expected to be checked out and the files are read from and written to disk.
+     * @param options.check Only verify that the files have been incremented, failing when they have not. Nothing is written.
+     * @param options.dryRun Compute the changes without writing them to disk.
+     * @param options.scheme The version scheme. Defaults to semantic versioning.
+     * @param options.logger Reports the progress and failures with info, warning and setFailed. Defaults to the action's core.
+     * @param options.pending The contents of the files updated so far, keyed by path. Shared by the handlers of the packages
+     * of a monorepo, so a file they share (e.g. the lockfile of a workspace) is updated on top of the other packages.
      */
-    constructor(client, mainBranch, versionToIncrement) {
+    constructor(client, mainBranch, versionToIncrement, options = {}) {
         this.client = client;
         this.mainBranch = mainBranch;
         this.versionToIncrement = versionToIncrement;
+        this.preReleaseId = options.preReleaseId;
+        this.packageName = options.packageName;
+        this.projectName = options.projectName;
+        this.registry = options.registry || Handler.createRegistry();
+        this.collisions = options.collisions;
+        this.branch = options.branch;
+        this.check = Boolean(options.check);
+        this.dryRun = Boolean(options.dryRun);
+        this.scheme = options.scheme || util.semver;
+        this.logger = options.logger || core;
+        this.pending = options.pending || new Map();
+        // the version on the main branch every file is incremented from when the files are kept in sync
+        this.mainVersion = undefined;
+        // the versions of each handled file, including the files that were already incremented
+        this.results = [];
+    }
+
+    /**
+     * Creates a registry with the built-in file types registered.
+     * @returns {Registry} The registry.
+     */
+    static createRegistry() {
+        const registry = new Registry();
+        registry.register('*.json', {type: 'package.json', find: finders.packageJSON});
+        registry.register('package.json', {
+            type: 'package.json',
+            find: finders.packageJSON,
+            dependents: async (handler, path, content) => {
+                const changes = await handler.handleNPMLockfiles(path, content);
+                return mergeChanges(changes, await handler.handleWorkspaceDependents(path, content, changes));
+            },
+        });
+        registry.register('*.xml', {
+            type: 'POM',
+            find: finders.pom,
+            dependents: (handler, path, content) => handler.handleMavenModules(path, content),
+        });
+        registry.register('*.{gradle,gradle.kts}', {type: 'Gradle', find: finders.gradle});
+        registry.register('*.properties', {type: 'properties', find: finders.properties});
+        registry.register('*.versions.toml', {type: 'version catalog', find: finders.versionCatalog});
+        registry.register('pyproject.toml', {type: 'pyproject.toml', find: finders.pyProject});
+        registry.register('setup.cfg', {type: 'setup.cfg', find: finders.setupCfg});
+        registry.register('Cargo.toml', {type: 'Cargo.toml', find: finders.cargo});
+        registry.register('{*.csproj,Directory.Build.props}', {type: 'MSBuild', find: finders.msBuild});
+        registry.register('{VERSION,VERSION.txt}', {type: 'VERSION', find: finders.versionFile});
+        return registry;
     }
 
     /**
-     * Handle the file.
+     * Handle the file. The updated files are written to disk, unless reading the branch through the API, and returned as
+     * pending changes to be committed. When only checking, the job is failed with the diff of the files instead.
      * @param path The path to the file.
-     * @param branch The branch to commit to.
-     * @returns {Promise<void>}
+     * @returns {Promise<{changes: {path: string, content: string}[], result: *}>} The pending changes, empty when
+     * nothing needs to change, and the versions of the file, undefined when the versions could not be determined.
      */
-    async handle(path, branch) {
-        // ensure the file we have been told to update actually exists
-        // we are assuming that the source code of the branch has been checked out here
-        if (!fs.existsSync(path)) {
-            core.setFailed(`File ${path} does not exist.`);
-            return;
+    async handle(path) {
+        // ensure the file we have been told to update actually exists on the branch
+        let content = await this.readFile(path);
+        if (content === undefined) {
+            this.logger.setFailed(`File ${path} does not exist.`);
+            return {changes: []};
         }
-        // get the file from the main branch
-        let content = fs.readFileSync(path, 'utf8');
+        const changes = [];
+        const recorded = this.results.length;
         try {
-            switch (util.getFileExtension(path.toLowerCase())) {
-                case 'json':
-                    content = await this.handlePackageJSON(path, content);
-                    break;
-                case 'xml':
-                    content = await this.handlePOM(path, content);
-                    break;
-                case 'gradle':
-                    content = await this.handleGradle(path, content);
-                    break;
-                default:
-                    core.warning(`Unsupported file: ${path}`);
+            const fileType = this.registry.find(path);
+            if (!fileType) {
+                this.logger.warning(`Unsupported file: ${path}`);
+                return {changes: []};
+            }
+            content = await this.handleVersion(path, content, fileType.find, fileType.type);
+            if (fileType.dependents) {
+                changes.push(...await fileType.dependents(this, path, content));
             }
         } catch (err) {
-            if (err instanceof util.InvalidVersionError || err instanceof VersionNotFoundError) {
-                core.setFailed(err.message);
-                return;
+            if (err instanceof util.InvalidVersionError || err instanceof util.VersionCollisionError || err instanceof VersionNotFoundError) {
+                this.logger.setFailed(err.message);
+                return {changes: []};
             } else if (err instanceof util.VersionAlreadyIncrementedError) {
-                core.info(err.message);
-                return;
+                this.logger.info(err.message);
+                return {changes: [], result: this.results[recorded]};
             } else if (err instanceof MainFileDoesNotExistError) {
-                core.warning(err.message);
-                return;
+                this.logger.warning(err.message);
+                return {changes: []};
             } else {
                 throw err;
             }
         }
-        if (content) {
-            fs.writeFileSync(path, content, 'utf8');
-            await this.client.commitFile(path, content, `Bump ${this.versionToIncrement} version`, branch);
+        changes.unshift({path, content});
+        if (this.check) {
+            const result = this.results[recorded];
+            const diffs = [];
+            for (const change of changes) {
+                diffs.push(diff(change.path, await this.readFile(change.path), change.content));
+            }
+            this.logger.setFailed(`Version of ${path} is ${result.branchVersion} but expected ${result.nextVersion}\n${diffs.join('\n')}`);
+            return {changes: [], result};
         }
+        for (const change of changes) {
+            this.writeFile(change.path, change.content);
+        }
+        return {changes, result: this.results[recorded]};
     }
 
     /**
-     * Handle the package.json file.
+     * Reads the file of the branch, from disk or through the API. A file that has already been updated is read as updated.
      * @param path The path to the file.
-     * @param content The content of the file.
-     * @returns {Promise<string>} The new content of the file.
+     * @returns {Promise<string|undefined>} The content of the file or undefined if it does not exist.
      */
-    async handlePackageJSON(path, content) {
-        const json = JSON.parse(content);
-        let currentVersion = json.version;
-        // determine if the version has already been incremented
-        const mainContent = await this.getMainContent(path);
-        const mainVersion = JSON.parse(mainContent).version;
-        json.version = util.getNextVersion(mainVersion, currentVersion, this.versionToIncrement);
-        return JSON.stringify(json, null, 2);
+    async readFile(path) {
+        if (this.pending.has(path)) {
+            return this.pending.get(path);
+        }
+        if (this.branch) {
+            return this.client.getFileContent(path, this.branch);
+        }
+        return fs.existsSync(path) ? fs.readFileSync(path, 'utf8') : undefined;
     }
 
     /**
-     * Handle the POM file.
+     * Reads the directories within the directory of the branch, from disk or through the API.
+     * @param path The path to the directory.
+     * @returns {Promise<string[]>} The paths of the directories, empty if the directory does not exist.
+     */
+    async readDirectories(path) {
+        if (this.branch) {
+            return this.client.getDirectories(path, this.branch);
+        }
+        if (!fs.existsSync(path)) {
+            return [];
+        }
+        return fs.readdirSync(path, {withFileTypes: true})
+            .filter(entry => entry.isDirectory())
+            .map(entry => posix.join(path, entry.name));
+    }
+
+    /**
+     * Writes the file to disk. Nothing is written when reading the branch through the API, as there is no checkout, or
+     * on a dry run, but the file is still read as updated.
      * @param path The path to the file.
      * @param content The content of the file.
-     * @returns {Promise<*>} The new content of the file.
      */
-    async handlePOM(path, content) {
-        // TODO get the version in a more robust way
-        const matches = content.match(pomRegex);
-        if (matches.length !== 2) {
-            throw new VersionNotFoundError(`Unable to find version in POM for file ${path}`);
+    writeFile(path, content) {
+        this.pending.set(path, content);
+        if (!this.branch && !this.dryRun) {
+            fs.writeFileSync(path, content, 'utf8');
         }
-        const currentVersion = matches[1];
-        // determine if the version has already been incremented
-        const mainContent = await this.getMainContent(path);
-        const mainMatches = mainContent.match(pomRegex);
-        if (mainMatches.length !== 2) {
-            throw new VersionNotFoundError(`Unable to find version in POM on main branch for file ${path}`);
+    }
+
+    /**
+     * Gets the version of the file on the main branch.
+     * @param path The path to the file.
+     * @returns {Promise<string|undefined>} The version or undefined if the file is not supported, does not exist on the
+     * main branch or has no version.
+     */
+    async getMainVersion(path) {
+        try {
+            return this.registry.findVersion(path, await this.getMainContent(path));
+        } catch (err) {
+            if (err instanceof MainFileDoesNotExistError) {
+                return undefined;
+            }
+            throw err;
         }
-        const mainVersion = mainMatches[1];
-        const nextVersion = util.getNextVersion(mainVersion, currentVersion, this.versionToIncrement);
-        return content.replace(`<version>${currentVersion}</version>`, `<version>${nextVersion}</version>`);
     }
 
     /**
-     * Handle the Gradle file.
+     * Gets the versions that have already been taken by the tags or the other open pull requests.
+     * @param path The path to the file.
+     * @param find Locates the version within the content of the file.
+     * @returns {Promise<string[]>} The taken versions.
+     */
+    async getTakenVersions(path, find) {
+        const taken = [...this.collisions.versions];
+        for (const pullRequest of this.collisions.pullRequests) {
+            let content;
+            try {
+                content = await this.client.getContent(path, pullRequest.head.sha);
+            } catch (e) {
+                // the pull request may not have the file
+                if (e.status === 404) {
+                    continue;
+                }
+                throw e;
+            }
+            const version = find(util.decode(content.content));
+            if (version) {
+                taken.push(version.value);
+            }
+        }
+        return taken;
+    }
+
+    /**
+     * Handle the npm lockfiles of the package.json. The lockfile next to the package.json and the lockfile of the
+     * workspace root the package belongs to are kept in sync with the version of the package.json.
+     * @param path The path to the package.json.
+     * @param content The updated content of the package.json.
+     * @returns {Promise<{path: string, content: string}[]>} The pending changes of the lockfiles.
+     */
+    async handleNPMLockfiles(path, content) {
+        const version = json.findValue(content, ['version']).value;
+        const directory = posix.dirname(path);
+        const changes = await updateNPMLockfiles(this, directory, '', version);
+        // a package of a workspace is recorded in the lockfile of the workspace root by its relative path
+        let root = directory;
+        while (root !== '.' && root !== '/') {
+            root = posix.dirname(root);
+            const workspaceChanges = await updateNPMLockfiles(this, root, posix.relative(root, directory), version);
+            if (workspaceChanges.length > 0) {
+                changes.push(...workspaceChanges);
+                break;
+            }
+        }
+        return changes;
+    }
+
+    /**
+     * Handle the packages of the npm, Yarn or pnpm workspace that depend on the package.json. Their ranges on the package
+     * (e.g. ^1.2.3 or workspace:^1.2.3) are updated to its version, as are the ranges the npm and pnpm lockfiles of the
+     * workspace root record for them.
+     * @param path The path to the package.json.
+     * @param content The updated content of the package.json.
+     * @param changes The pending changes of the package.json so far, read in place of the files. Optional.
+     * @returns {Promise<{path: string, content: string}[]>} The pending changes of the dependents and lockfiles.
+     */
+    async handleWorkspaceDependents(path, content, changes = []) {
+        const name = json.findValue(content, ['name']);
+        const directory = posix.dirname(posix.normalize(path));
+        if (!name || directory === '.') {
+            return [];
+        }
+        const version = json.findValue(content, ['version']).value;
+        const read = async p => {
+            const change = changes.find(c => c.path === p);
+            return change ? change.content : this.readFile(p);
+        };
+        const root = await findWorkspace(read, directory);
+        if (!root) {
+            return [];
+        }
+        const updates = [];
+        // the ranges of the dependents, for the lockfiles
+        const ranges = [];
+        for (const member of await findWorkspacePackages(this, root.directory, root.patterns)) {
+            const memberPath = posix.join(member, 'package.json');
+            let memberContent = member === directory ? undefined : await read(memberPath);
+            if (memberContent === undefined) {
+                continue;
+            }
+            const before = memberContent;
+            for (const field of workspace.dependencyFields) {
+                const range = json.findValue(memberContent, [field, name.value]);
+                const updated = range && workspace.updateRange(range.value, version);
+                if (updated && updated !== range.value) {
+                    memberContent = json.replaceValue(memberContent, range, updated);
+                    ranges.push({importer: posix.relative(root.directory, member), field, range: updated});
+                }
+            }
+            if (memberContent !== before) {
+                this.logger.info(`Updated the range of ${memberPath} on ${name.value} to ${version}`);
+                updates.push({path: memberPath, content: memberContent});
+            }
+        }
+        if (ranges.length === 0) {
+            return updates;
+        }
+        for (const lockfile of npmLockfiles) {
+            const lockfilePath = posix.join(root.directory, lockfile);
+            let lockfileContent = await read(lockfilePath);
+            const before = lockfileContent;
+            for (const {importer, field, range} of lockfileContent === undefined ? [] : ranges) {
+                const value = json.findValue(lockfileContent, ['packages', importer, field, name.value]);
+                if (value && value.value !== range) {
+                    lockfileContent = json.replaceValue(lockfileContent, value, range);
+                }
+            }
+            if (lockfileContent !== before) {
+                updates.push({path: lockfilePath, content: lockfileContent});
+            }
+        }
+        const pnpmLockfilePath = posix.join(root.directory, 'pnpm-lock.yaml');
+        let pnpmLockfile = await read(pnpmLockfilePath);
+        const before = pnpmLockfile;
+        for (const {importer, field, range} of pnpmLockfile === undefined ? [] : ranges) {
+            pnpmLockfile = workspace.updatePnpmSpecifier(pnpmLockfile, importer, field, name.value, range) || pnpmLockfile;
+        }
+        if (pnpmLockfile !== before) {
+            updates.push({path: pnpmLockfilePath, content: pnpmLockfile});
+        }
+        return updates;
+    }
+
+    /**
+     * Handle the modules of a Maven reactor. The parent reference of every module (recursively) that inherits from the
+     * POM is kept in lockstep with the version of the POM, as is the version of modules that declare the same version.
+     * @param path The path to the POM.
+     * @param content The updated content of the POM.
+     * @param visited The paths of the POMs that have already been handled.
+     * @param inherited The groupId and version the POM inherits from its parent, for modules that do not declare them.
+     * @returns {Promise<{path: string, content: string}[]>} The pending changes of the modules.
+     */
+    async handleMavenModules(path, content, visited = new Set([posix.normalize(path)]), inherited = {}) {
+        const changes = [];
+        const artifactId = xml.findElement(content, 'project/artifactId');
+        const groupId = getElementValue(content, 'project/groupId') || inherited.groupId;
+        const ownVersion = findPOMVersion(content);
+        const version = ownVersion ? ownVersion.value : inherited.version;
+        for (const module of xml.findElements(content, 'project/modules/module')) {
+            let modulePath = posix.join(posix.dirname(path), module.value);
+            if (!modulePath.toLowerCase().endsWith('.xml')) {
+                modulePath = posix.join(modulePath, 'pom.xml');
+            }
+            if (visited.has(modulePath)) {
+                continue;
+            }
+            visited.add(modulePath);
+            let moduleContent = await this.readFile(modulePath);
+            if (moduleContent === undefined) {
+                this.logger.warning(`Module POM ${modulePath} does not exist.`);
+                continue;
+            }
+            const parentGroupId = getElementValue(moduleContent, 'project/parent/groupId');
+            const parentArtifactId = xml.findElement(moduleContent, 'project/parent/artifactId');
+            const parentVersion = xml.findElement(moduleContent, 'project/parent/version');
+            const inheritsPOM = artifactId && parentArtifactId && parentArtifactId.value === artifactId.value
+                && (!groupId || !parentGroupId || parentGroupId === groupId);
+            // CI-friendly versions are resolved by Maven, so only literal versions are updated
+            if (inheritsPOM && version && parentVersion && parentVersion.value !== version && !parentVersion.value.startsWith('${')) {
+                moduleContent = xml.replaceElement(moduleContent, parentVersion, version);
+                const moduleVersion = xml.findElement(moduleContent, 'project/version');
+                if (moduleVersion && moduleVersion.value === parentVersion.value) {
+                    moduleContent = xml.replaceElement(moduleContent, moduleVersion, version);
+                }
+                this.logger.info(`Updated parent version of module ${modulePath} to ${version}`);
+                changes.push({path: modulePath, content: moduleContent});
+            }
+            // a module without a version of its own passes the version of the POM down to its modules
+            changes.push(...await this.handleMavenModules(modulePath, moduleContent, visited, {
+                groupId: parentGroupId || groupId,
+                version: inheritsPOM ? version : parentVersion && parentVersion.value,
+            }));
+        }
+        return changes;
+    }
+
+    /**
+     * Handles a file by incrementing the version located by the find function.
      * @param path The path to the file.
      * @param content The content of the file.
-     * @returns {Promise<*>} The new content of the file.
+     * @param find Locates the version within the content of a file.
+     * @param type The type of the file, used when reporting errors.
+     * @returns {Promise<string>} The new content of the file.
      */
-    async handleGradle(path, content) {
-        // TODO get the version in a more robust way
-        const matches = content.match(gradleRegex);
-        if (matches.length !== 2) {
-            throw new VersionNotFoundError(`Unable to find version in Gradle for file ${path}`);
+    async handleVersion(path, content, find, type) {
+        const version = find(content);
+        if (!version) {
+            throw new VersionNotFoundError(`Unable to find version in ${type} for file ${path}`);
         }
-        const currentVersion = matches[1];
         // determine if the version has already been incremented
         const mainContent = await this.getMainContent(path);
-        const mainMatches = mainContent.match(gradleRegex);
-        if (mainMatches.length !== 2) {
-            throw new VersionNotFoundError(`Unable to find version in Gradle on main branch for file ${path}`);
+        const mainVersion = find(mainContent);
+        if (!mainVersion) {
+            throw new VersionNotFoundError(`Unable to find version in ${type} on main branch for file ${path}`);
         }
-        const mainVersion = mainMatches[1];
-        const nextVersion = util.getNextVersion(mainVersion, currentVersion, this.versionToIncrement);
-        return content.replace(`version=${currentVersion}`, `version=${nextVersion}`);
+        // the result is recorded before incrementing so files that were already incremented are reported too
+        const result = {path, mainVersion: mainVersion.value, branchVersion: version.value, nextVersion: version.value, incremented: false};
+        this.results.push(result);
+        const baseVersion = this.mainVersion || mainVersion.value;
+        const collisions = this.collisions && {taken: await this.getTakenVersions(path, find), bump: this.collisions.bump};
+        const nextVersion = util.getNextVersion(baseVersion, version.value, this.versionToIncrement, this.preReleaseId, collisions, this.scheme);
+        result.nextVersion = nextVersion;
+        result.incremented = true;
+        this.nextVersion = nextVersion;
+        return content.slice(0, version.start) + nextVersion + content.slice(version.end);
+    }
+
+    /**
+     * Handle the changelog by adding the entry of the PR for the version the handled files were incremented to.
+     * The updated changelog is written to disk, unless reading the branch through the API, and returned as a pending
+     * change to be committed.
+     * @param path The path to the changelog.
+     * @param pullRequest The pull request.
+     * @param commitMessages The messages of the commits on the PR.
+     * @returns {Promise<{path: string, content: string}|undefined>} The pending change or undefined if no version was incremented.
+     */
+    async handleChangelog(path, pullRequest, commitMessages) {
+        if (!this.nextVersion) {
+            return undefined;
+        }
+        const content = await this.readFile(path) || '';
+        const date = new Date().toISOString().slice(0, 10);
+        const entry = changelog.createEntry(this.nextVersion, date, pullRequest, commitMessages);
+        const newContent = changelog.updateChangelog(content, entry, pullRequest.number);
+        this.writeFile(path, newContent);
+        return {path, content: newContent};
+    }
+
+    /**
+     * Gets the message to commit the updated files with.
+     * @param template The template of the message with the {{name}}, {{previous}}, {{next}} and {{bump}} placeholders.
+     * The name is that of the package, else that of the project or else the path of the file. Optional.
+     * @returns {string} The commit message.
+     */
+    getCommitMessage(template) {
+        if (template) {
+            // the versions are those of the first incremented file
+            const result = this.results.find(r => r.incremented) || this.results[0] || {};
+            return util.renderTemplate(template, {
+                name: this.packageName || this.projectName || result.path,
+                previous: result.mainVersion,
+                next: result.nextVersion,
+                bump: this.versionToIncrement,
+            });
+        }
+        if (this.packageName) {
+            return `Bump ${this.versionToIncrement} version of ${this.packageName}`;
+        }
+        return `Bump ${this.versionToIncrement} version`;
     }
 
     /**
@@ -153,6 +501,193 @@ class Handler {
     }
 }
 
+/**
+ * Updates the version of a package in the npm lockfiles of a directory.
+ * @param handler The handler to read the lockfiles with.
+ * @param directory The directory of the lockfiles.
+ * @param packagePath The path of the package relative to the lockfiles. An empty string is the root package.
+ * @param version The version of the package.
+ * @returns {Promise<{path: string, content: string}[]>} The pending changes of the lockfiles.
+ */
+const updateNPMLockfiles = async (handler, directory, packagePath, version) => {
+    const changes = [];
+    for (const name of npmLockfiles) {
+        const path = posix.join(directory, name);
+        const content = await handler.readFile(path);
+        const change = content !== undefined && updateNPMLockfile(path, content, packagePath, version);
+        if (change) {
+            changes.push(change);
+        }
+    }
+    return changes;
+};
+
+/**
+ * Finds the root of the workspace the package belongs to. The nearest directory above the package with a
+ * pnpm-workspace.yaml or a package.json with workspaces is the root.
+ * @param read Reads the file, undefined if it does not exist.
+ * @param directory The directory of the package.
+ * @returns {Promise<{directory: string, patterns: string[]}|undefined>} The root and the patterns of its packages or
+ * undefined if the package does not belong to a workspace.
+ */
+const findWorkspace = async (read, directory) => {
+    let root = directory;
+    while (root !== '.' && root !== '/') {
+        root = posix.dirname(root);
+        const pnpmWorkspace = await read(posix.join(root, 'pnpm-workspace.yaml'));
+        const patterns = pnpmWorkspace !== undefined
+            ? workspace.parsePnpmWorkspace(pnpmWorkspace)
+            : workspace.getWorkspacePatterns(await read(posix.join(root, 'package.json')));
+        if (patterns) {
+            return workspace.matchesPatterns(posix.relative(root, directory), patterns) ? {directory: root, patterns} : undefined;
+        }
+    }
+    return undefined;
+};
+
+/**
+ * Finds the package directories of the workspace by listing the directories the patterns match.
+ * @param handler The handler to list the directories with.
+ * @param root The root of the workspace.
+ * @param patterns The patterns of the packages, relative to the root.
+ * @returns {Promise<string[]>} The package directories.
+ */
+const findWorkspacePackages = async (handler, root, patterns) => {
+    const directories = new Set();
+    for (const pattern of patterns.filter(p => !p.startsWith('!'))) {
+        let candidates = [root];
+        for (const segment of workspace.normalizePattern(pattern).split('/')) {
+            if (segment === '**') {
+                candidates = await findDescendants(handler, candidates);
+            } else if (/[*?{]/.test(segment)) {
+                const regex = Registry.globToRegex(segment);
+                const matched = [];
+                for (const candidate of candidates) {
+                    matched.push(...(await handler.readDirectories(candidate)).filter(d => regex.test(posix.basename(d))));
+                }
+                candidates = matched;
+            } else if (segment && segment !== '.') {
+                candidates = candidates.map(candidate => posix.join(candidate, segment));
+            }
+        }
+        candidates.forEach(candidate => directories.add(candidate));
+    }
+    return [...directories].filter(d => d !== root && workspace.matchesPatterns(posix.relative(root, d), patterns)).sort();
+};
+
+/**
+ * Finds the directories and every directory within them, except for the installed dependencies and hidden directories.
+ * @param handler The handler to list the directories with.
+ * @param directories The directories.
+ * @returns {Promise<string[]>} The directories and their descendants.
+ */
+const findDescendants = async (handler, directories) => {
+    const found = [...directories];
+    for (let i = 0; i < found.length; i++) {
+        const children = await handler.readDirectories(found[i]);
+        found.push(...children.filter(child => !/^(?:node_modules|\.)/.test(posix.basename(child))));
+    }
+    return found;
+};
+
+/**
+ * Merges the updates into the pending changes. An update of a file that already has a change replaces the change.
+ * @param changes The pending changes.
+ * @param updates The updates, made on top of the pending changes.
+ * @returns {{path: string, content: string}[]} The merged changes.
+ */
+const mergeChanges = (changes, updates) => {
+    const merged = [...changes];
+    for (const update of updates) {
+        const index = merged.findIndex(change => change.path === update.path);
+        if (index === -1) {
+            merged.push(update);
+        } else {
+            merged[index] = update;
+        }
+    }
+    return merged;
+};
+
+/**
+ * Updates the version of a package in an npm lockfile.
+ * @param path The path to the lockfile.
+ * @param content The content of the lockfile.
+ * @param packagePath The path of the package relative to the lockfile. An empty string is the root package.
+ * @param version The version of the package.
+ * @returns {{path: string, content: string}|undefined} The pending change or undefined if the lockfile is already in sync or does not record the package.
+ */
+const updateNPMLockfile = (path, content, packagePath, version) => {
+    let changed = false;
+    // lockfile v2 and later record every package, including the root
+    const keys = packagePath === '' ? [['version'], ['packages', '', 'version']] : [['packages', packagePath, 'version']];
+    for (const key of keys) {
+        const value = json.findValue(content, key);
+        if (value && value.value !== version) {
+            content = json.replaceValue(content, value, version);
+            changed = true;
+        }
+    }
+    if (!changed) {
+        return undefined;
+    }
+    return {path, content};
+};
+
+/**
+ * Finds the element holding the version of the project in a POM. The version of the parent or of dependencies is never
+ * matched. When the version is a CI-friendly property (e.g. ${revision}), the property is returned instead.
+ * @param content The content of the POM.
+ * @returns {{value: string, start: number, end: number}|undefined} The version element or undefined if there is none.
+ */
+const findPOMVersion = (content) => {
+    const version = xml.findElement(content, 'project/version');
+    if (!version) {
+        return undefined;
+    }
+    const property = version.value.match(/^\$\{([^}]+)}$/);
+    if (property) {
+        return xml.findElement(content, `project/properties/${property[1]}`);
+    }
+    return version;
+};
+
+/**
+ * Gets the value of the element.
+ * @param content The content of the XML document.
+ * @param path The path to the element.
+ * @returns {string|undefined} The value or undefined if there is no such element.
+ */
+const getElementValue = (content, path) => {
+    const element = xml.findElement(content, path);
+    return element ? element.value : undefined;
+};
+
+/**
+ * Creates a diff of the lines that changed. Only the version is rewritten so the lines of the files never shift.
+ * @param path The path to the file.
+ * @param before The content of the file.
+ * @param after The updated content of the file.
+ * @returns {string} The diff.
+ */
+const diff = (path, before, after) => {
+    const beforeLines = before.split('\n');
+    const afterLines = after.split('\n');
+    const lines = [`--- ${path}`, `+++ ${path}`];
+    for (let i = 0; i < Math.max(beforeLines.length, afterLines.length); i++) {
+        if (beforeLines[i] !== afterLines[i]) {
+            lines.push(`@@ line ${i + 1} @@`);
+            if (beforeLines[i] !== undefined) {
+                lines.push(`-${beforeLines[i]}`);
+            }
+            if (afterLines[i] !== undefined) {
+                lines.push(`+${afterLines[i]}`);
+            }
+        }
+    }
+    return lines.join('\n');
+};
+
 /**
  * Thrown when the version is not found.
  */
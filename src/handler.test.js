@@ -1,7 +1,8 @@
-// const core = require('@actions/core');
-// const fs = require('fs');
+const core = require('@actions/core');
+const fs = require('fs');
 const Client = require('./client');
 const Handler = require('./handler');
+const {fourPart} = require('./scheme');
 const util = require('./util');
 
 jest
@@ -29,16 +30,178 @@ describe('determine version to increment', () => {
         client = new Client({}, {});
     });
 
+    /**
+     * Handles the file with the content on the branch.
+     * @param handler The handler.
+     * @param path The path to the file.
+     * @param content The content of the file on the branch.
+     * @returns {Promise<string|undefined>} The new content of the file or undefined if it was not changed.
+     */
+    const handleContent = async (handler, path, content) => {
+        fs.existsSync.mockImplementation(p => p === path);
+        fs.readFileSync.mockReturnValue(content);
+        const {changes} = await handler.handle(path);
+        return changes.length > 0 ? changes[0].content : undefined;
+    };
+
     it('should handle package.json', async () => {
         client.getContent.mockResolvedValue({
             content: util.encode('{"version": "0.0.0"}'),
         });
 
         const handler = new Handler(client, 'main', 'major');
-        const newContent = await handler.handlePackageJSON('package.json', `{"version": "0.0.0"}`);
-        expect(newContent).toBe(`{
-  "version": "1.0.0"
-}`);
+        const newContent = await handleContent(handler, 'package.json', `{"version": "0.0.0"}`);
+        expect(newContent).toBe(`{"version": "1.0.0"}`);
+    });
+
+    it.each([
+        ['two space indentation', '{\n  "name": "app",\n  "version": "0.0.0"\n}\n'],
+        ['four space indentation', '{\n    "name": "app",\n    "version": "0.0.0"\n}\n'],
+        ['tab indentation', '{\n\t"name": "app",\n\t"version": "0.0.0"\n}\n'],
+        ['CRLF line endings', '{\r\n  "name": "app",\r\n  "version": "0.0.0"\r\n}\r\n'],
+        ['byte order mark', '\uFEFF{\n  "name": "app",\n  "version": "0.0.0"\n}\n'],
+        ['no final newline', '{\n  "name": "app",\n  "version": "0.0.0"\n}'],
+        ['nested versions before', '{\n  "engines": {"node": ">=16", "version": "9.9.9"},\n  "version" : "0.0.0"\n}\n'],
+    ])('should preserve the formatting of package.json with %s', async (name, packageJSON) => {
+        client.getContent.mockResolvedValue({
+            content: util.encode(packageJSON),
+        });
+
+        const handler = new Handler(client, 'main', 'minor');
+        const newContent = await handleContent(handler, 'package.json', packageJSON);
+        expect(newContent).toBe(packageJSON.replace('"0.0.0"', '"0.1.0"'));
+    });
+
+    it('should keep the npm lockfiles in sync', async () => {
+        const files = {
+            'package.json': '{"name": "app", "version": "0.0.0"}',
+            'package-lock.json': JSON.stringify({
+                name: 'app',
+                version: '0.0.0',
+                lockfileVersion: 3,
+                packages: {'': {name: 'app', version: '0.0.0'}, 'node_modules/lib': {version: '0.0.0'}},
+            }, null, 2) + '\n',
+            'npm-shrinkwrap.json': JSON.stringify({name: 'app', version: '0.0.0', lockfileVersion: 1}, null, 2) + '\n',
+        };
+        fs.existsSync.mockImplementation(path => files[path] !== undefined);
+        fs.readFileSync.mockImplementation(path => files[path]);
+        client.getContent.mockResolvedValue({
+            content: util.encode(files['package.json']),
+        });
+
+        const handler = new Handler(client, 'main', 'minor');
+        const {changes} = await handler.handle('package.json');
+        expect(changes.map(change => change.path)).toEqual(['package.json', 'package-lock.json', 'npm-shrinkwrap.json']);
+        expect(JSON.parse(changes[1].content)).toEqual({
+            name: 'app',
+            version: '0.1.0',
+            lockfileVersion: 3,
+            packages: {'': {name: 'app', version: '0.1.0'}, 'node_modules/lib': {version: '0.0.0'}},
+        });
+        expect(changes[1].content.endsWith('}\n')).toBe(true);
+        expect(JSON.parse(changes[2].content).version).toBe('0.1.0');
+    });
+
+    it('should keep the npm lockfile of the workspace root in sync', async () => {
+        const lockfile = {
+            name: 'root',
+            version: '1.0.0',
+            lockfileVersion: 3,
+            packages: {
+                '': {name: 'root', version: '1.0.0', workspaces: ['packages/*']},
+                'node_modules/api': {resolved: 'packages/api', link: true},
+                'packages/api': {name: 'api', version: '0.0.0'},
+            },
+        };
+        fs.existsSync.mockImplementation(path => path === 'package-lock.json');
+        fs.readFileSync.mockReturnValue(JSON.stringify(lockfile, null, 2) + '\n');
+
+        const handler = new Handler(client, 'main', 'minor');
+        const changes = await handler.handleNPMLockfiles('packages/api/package.json', '{"name": "api", "version": "0.1.0"}');
+        lockfile.packages['packages/api'].version = '0.1.0';
+        expect(changes).toEqual([{path: 'package-lock.json', content: JSON.stringify(lockfile, null, 2) + '\n'}]);
+    });
+
+    it('should update the ranges of the packages of a pnpm workspace on the package', async () => {
+        const web = {name: '@org/web', version: '0.4.0', dependencies: {'@org/api': 'workspace:^1.2.0'}, devDependencies: {typescript: '^5.0.0'}};
+        const lockfile = `lockfileVersion: '9.0'\n\nimporters:\n\n  packages/web:\n    dependencies:\n      '@org/api':\n`
+            + `        specifier: workspace:^1.2.0\n        version: link:../api\n`;
+        const files = {
+            'pnpm-workspace.yaml': `packages:\n  - 'packages/*'\n  - '!packages/legacy'\n`,
+            'pnpm-lock.yaml': lockfile,
+            'packages/api/package.json': '{"name": "@org/api", "version": "1.2.0"}\n',
+            'packages/web/package.json': JSON.stringify(web, null, 2) + '\n',
+            'packages/docs/package.json': '{"name": "docs", "devDependencies": {"@org/api": "workspace:*"}}\n',
+            'packages/legacy/package.json': '{"name": "legacy", "dependencies": {"@org/api": "^1.2.0"}}\n',
+        };
+        const directories = {packages: ['packages/api', 'packages/docs', 'packages/legacy', 'packages/web']};
+        client.getFileContent.mockImplementation(async path => files[path]);
+        client.getDirectories.mockImplementation(async path => directories[path] || []);
+        client.getContent.mockResolvedValue({content: util.encode(files['packages/api/package.json'])});
+
+        const handler = new Handler(client, 'main', 'minor', {branch: 'head-sha'});
+        const {changes} = await handler.handle('packages/api/package.json');
+        web.dependencies['@org/api'] = 'workspace:^1.3.0';
+        expect(changes).toEqual([
+            {path: 'packages/api/package.json', content: '{"name": "@org/api", "version": "1.3.0"}\n'},
+            {path: 'packages/web/package.json', content: JSON.stringify(web, null, 2) + '\n'},
+            {path: 'pnpm-lock.yaml', content: lockfile.replace('workspace:^1.2.0', 'workspace:^1.3.0')},
+        ]);
+        expect(client.getDirectories).toHaveBeenCalledWith('packages', 'head-sha');
+    });
+
+    it('should update the ranges of an npm workspace along with its lockfile', async () => {
+        const lockfile = {
+            name: 'root',
+            lockfileVersion: 3,
+            packages: {
+                '': {name: 'root', workspaces: ['packages/*']},
+                'packages/api': {name: 'api', version: '1.2.0'},
+                'packages/web': {name: 'web', version: '0.4.0', dependencies: {api: '^1.2.0'}},
+            },
+        };
+        const files = {
+            'package.json': '{"name": "root", "workspaces": ["packages/*"]}',
+            'package-lock.json': JSON.stringify(lockfile, null, 2) + '\n',
+            'packages/api/package.json': '{"name": "api", "version": "1.2.0"}',
+            'packages/web/package.json': '{"name": "web", "version": "0.4.0", "dependencies": {"api": "^1.2.0"}}',
+        };
+        const directories = {packages: ['packages/api', 'packages/web']};
+        client.getFileContent.mockImplementation(async path => files[path]);
+        client.getDirectories.mockImplementation(async path => directories[path] || []);
+        client.getContent.mockResolvedValue({content: util.encode(files['packages/api/package.json'])});
+
+        const handler = new Handler(client, 'main', 'minor', {branch: 'head-sha'});
+        const {changes} = await handler.handle('packages/api/package.json');
+        lockfile.packages['packages/api'].version = '1.3.0';
+        lockfile.packages['packages/web'].dependencies.api = '^1.3.0';
+        expect(changes).toEqual([
+            {path: 'packages/api/package.json', content: '{"name": "api", "version": "1.3.0"}'},
+            {path: 'package-lock.json', content: JSON.stringify(lockfile, null, 2) + '\n'},
+            {path: 'packages/web/package.json', content: '{"name": "web", "version": "0.4.0", "dependencies": {"api": "^1.3.0"}}'},
+        ]);
+    });
+
+    it('should not look for dependents outside of a workspace', async () => {
+        const files = {
+            'package.json': '{"name": "root"}',
+            'packages/api/package.json': '{"name": "api", "version": "1.2.0"}',
+        };
+        client.getFileContent.mockImplementation(async path => files[path]);
+        client.getContent.mockResolvedValue({content: util.encode(files['packages/api/package.json'])});
+
+        const handler = new Handler(client, 'main', 'minor', {branch: 'head-sha'});
+        const {changes} = await handler.handle('packages/api/package.json');
+        expect(changes.map(change => change.path)).toEqual(['packages/api/package.json']);
+        expect(client.getDirectories).not.toHaveBeenCalled();
+    });
+
+    it('should not change npm lockfiles that are in sync', async () => {
+        fs.existsSync.mockImplementation(path => path === 'package-lock.json');
+        fs.readFileSync.mockReturnValue('{"version": "0.1.0", "packages": {"": {"version": "0.1.0"}}}');
+
+        const handler = new Handler(client, 'main', 'minor');
+        expect(await handler.handleNPMLockfiles('package.json', '{"version": "0.1.0"}')).toEqual([]);
     });
 
     it('should handle pom.xml', async () => {
@@ -47,20 +210,530 @@ describe('determine version to increment', () => {
         });
 
         const handler = new Handler(client, 'main', 'major');
-        const newContent = await handler.handlePOM('pom.xml', `<project><version>0.0.0</version></project>`);
+        const newContent = await handleContent(handler, 'pom.xml', `<project><version>0.0.0</version></project>`);
         expect(newContent).toBe(`<project><version>1.0.0</version></project>`);
     });
 
+    it('should handle pom.xml with a parent and dependencies', async () => {
+        const pom = `<?xml version="1.0" encoding="UTF-8"?>
+<project>
+    <!-- inherits from spring boot -->
+    <parent>
+        <version>3.1.0</version>
+    </parent>
+    <version>0.0.0</version>
+    <dependencies>
+        <dependency>
+            <version>4.0.0</version>
+        </dependency>
+    </dependencies>
+</project>`;
+        client.getContent.mockResolvedValue({
+            content: util.encode(pom),
+        });
+
+        const handler = new Handler(client, 'main', 'minor');
+        const newContent = await handleContent(handler, 'pom.xml', pom);
+        expect(newContent).toBe(pom.replace('<version>0.0.0</version>', '<version>0.1.0</version>'));
+    });
+
+    it('should handle pom.xml with a CI-friendly version', async () => {
+        const pom = `<project>
+    <version>\${revision}</version>
+    <properties>
+        <revision>0.0.0</revision>
+    </properties>
+</project>`;
+        client.getContent.mockResolvedValue({
+            content: util.encode(pom),
+        });
+
+        const handler = new Handler(client, 'main', 'patch');
+        const newContent = await handleContent(handler, 'pom.xml', pom);
+        expect(newContent).toBe(pom.replace('<revision>0.0.0</revision>', '<revision>0.0.1</revision>'));
+    });
+
+    it('should handle the modules of a Maven reactor', async () => {
+        const files = {
+            'pom.xml': `<project>
+    <artifactId>root</artifactId>
+    <version>1.0.0</version>
+    <modules>
+        <module>core</module>
+        <module>services</module>
+        <module>missing</module>
+    </modules>
+</project>`,
+            'core/pom.xml': `<project>
+    <parent>
+        <artifactId>root</artifactId>
+        <version>1.0.0</version>
+    </parent>
+    <artifactId>core</artifactId>
+</project>`,
+            'services/pom.xml': `<project>
+    <parent>
+        <artifactId>root</artifactId>
+        <version>1.0.0</version>
+    </parent>
+    <artifactId>services</artifactId>
+    <version>1.0.0</version>
+    <modules>
+        <module>api/pom.xml</module>
+    </modules>
+</project>`,
+            'services/api/pom.xml': `<project>
+    <parent>
+        <artifactId>services</artifactId>
+        <version>1.0.0</version>
+    </parent>
+    <artifactId>api</artifactId>
+    <dependencies>
+        <dependency>
+            <artifactId>root</artifactId>
+            <version>1.0.0</version>
+        </dependency>
+    </dependencies>
+</project>`,
+        };
+        fs.existsSync.mockImplementation(path => files[path] !== undefined);
+        fs.readFileSync.mockImplementation(path => files[path]);
+        client.getContent.mockResolvedValue({
+            content: util.encode(files['pom.xml']),
+        });
+
+        const handler = new Handler(client, 'main', 'minor');
+        const {changes} = await handler.handle('pom.xml');
+        expect(changes).toEqual([
+            {path: 'pom.xml', content: files['pom.xml'].replace('1.0.0', '1.1.0')},
+            {path: 'core/pom.xml', content: files['core/pom.xml'].replace('1.0.0', '1.1.0')},
+            {path: 'services/pom.xml', content: files['services/pom.xml'].replace(/1\.0\.0/g, '1.1.0')},
+            {path: 'services/api/pom.xml', content: files['services/api/pom.xml'].replace('1.0.0', '1.1.0')},
+        ]);
+        expect(fs.writeFileSync).toHaveBeenCalledTimes(4);
+    });
+
+    it('should pass the version down to the modules of modules that inherit the version', async () => {
+        const files = {
+            'pom.xml': '<project><groupId>com.example</groupId><artifactId>root</artifactId><version>1.0.0</version><modules><module>a</module></modules></project>',
+            'a/pom.xml': '<project><parent><groupId>com.example</groupId><artifactId>root</artifactId><version>1.0.0</version></parent><artifactId>a</artifactId><modules><module>a1</module></modules></project>',
+            'a/a1/pom.xml': '<project><parent><groupId>com.example</groupId><artifactId>a</artifactId><version>1.0.0</version></parent><artifactId>a1</artifactId></project>',
+        };
+        fs.existsSync.mockImplementation(path => files[path] !== undefined);
+        fs.readFileSync.mockImplementation(path => files[path]);
+        client.getContent.mockResolvedValue({
+            content: util.encode(files['pom.xml']),
+        });
+
+        const handler = new Handler(client, 'main', 'minor');
+        const {changes} = await handler.handle('pom.xml');
+        expect(changes).toEqual([
+            {path: 'pom.xml', content: files['pom.xml'].replace('1.0.0', '1.1.0')},
+            {path: 'a/pom.xml', content: files['a/pom.xml'].replace('1.0.0', '1.1.0')},
+            {path: 'a/a1/pom.xml', content: files['a/a1/pom.xml'].replace('1.0.0', '1.1.0')},
+        ]);
+    });
+
+    it('should not update modules whose parent has another groupId', async () => {
+        fs.existsSync.mockReturnValue(true);
+        fs.readFileSync.mockReturnValue('<project><parent><groupId>org.other</groupId><artifactId>root</artifactId><version>1.0.0</version></parent><artifactId>core</artifactId></project>');
+
+        const handler = new Handler(client, 'main', 'minor');
+        const pom = '<project><groupId>com.example</groupId><artifactId>root</artifactId><version>1.1.0</version><modules><module>core</module></modules></project>';
+        expect(await handler.handleMavenModules('pom.xml', pom)).toEqual([]);
+    });
+
+    it('should not update modules that use a CI-friendly parent version', async () => {
+        fs.existsSync.mockReturnValue(true);
+        fs.readFileSync.mockReturnValue('<project><parent><artifactId>root</artifactId><version>${revision}</version></parent></project>');
+
+        const handler = new Handler(client, 'main', 'minor');
+        const pom = '<project><artifactId>root</artifactId><version>${revision}</version><properties><revision>1.1.0</revision></properties><modules><module>core</module></modules></project>';
+        expect(await handler.handleMavenModules('pom.xml', pom)).toEqual([]);
+    });
+
+    it('should fail when pom.xml has no project version', async () => {
+        const handler = new Handler(client, 'main', 'patch');
+        expect(await handleContent(handler, 'pom.xml', '<project><parent><version>1.0.0</version></parent></project>')).toBeUndefined();
+        expect(core.setFailed).toHaveBeenCalledWith('Unable to find version in POM for file pom.xml');
+    });
+
     it('should handle build.gradle', async () => {
         client.getContent.mockResolvedValue({
             content: util.encode('version=0.0.0'),
         });
 
         const handler = new Handler(client, 'main', 'major');
-        const newContent = await handler.handleGradle('build.gradle', `version=0.0.0`);
+        const newContent = await handleContent(handler, 'build.gradle', `version=0.0.0`);
         expect(newContent).toBe(`version=1.0.0`);
     });
 
+    it('should return the pending change without committing', async () => {
+        fs.existsSync.mockReturnValue(true);
+        fs.readFileSync.mockReturnValue('version=0.0.0');
+        client.getContent.mockResolvedValue({
+            content: util.encode('version=0.0.0'),
+        });
+
+        const handler = new Handler(client, 'main', 'minor');
+        const {changes} = await handler.handle('build.gradle');
+        expect(changes).toEqual([{path: 'build.gradle', content: 'version=0.1.0'}]);
+        expect(fs.writeFileSync).toHaveBeenCalledWith('build.gradle', 'version=0.1.0', 'utf8');
+        expect(client.commitFiles).not.toHaveBeenCalled();
+    });
+
+    it('should fail with the diff when checking a file that has not been incremented', async () => {
+        fs.existsSync.mockReturnValue(true);
+        fs.readFileSync.mockReturnValue('group=app\nversion=0.0.0\n');
+        client.getContent.mockResolvedValue({
+            content: util.encode('group=app\nversion=0.0.0\n'),
+        });
+
+        const handler = new Handler(client, 'main', 'minor', {check: true});
+        const {changes, result} = await handler.handle('build.gradle');
+        expect(changes).toEqual([]);
+        expect(result.nextVersion).toBe('0.1.0');
+        expect(core.setFailed).toHaveBeenCalledWith('Version of build.gradle is 0.0.0 but expected 0.1.0\n--- build.gradle\n+++ build.gradle\n@@ line 2 @@\n-version=0.0.0\n+version=0.1.0');
+        expect(fs.writeFileSync).not.toHaveBeenCalled();
+    });
+
+    it('should pass when checking a file that has been incremented', async () => {
+        fs.existsSync.mockReturnValue(true);
+        fs.readFileSync.mockReturnValue('version=0.1.0');
+        client.getContent.mockResolvedValue({
+            content: util.encode('version=0.0.0'),
+        });
+
+        const handler = new Handler(client, 'main', 'minor', {check: true});
+        expect(await handler.handle('build.gradle')).toEqual({
+            changes: [],
+            result: {path: 'build.gradle', mainVersion: '0.0.0', branchVersion: '0.1.0', nextVersion: '0.1.0', incremented: false},
+        });
+        expect(core.setFailed).not.toHaveBeenCalled();
+        expect(fs.writeFileSync).not.toHaveBeenCalled();
+    });
+
+    it('should increment every file from the synced main version', async () => {
+        fs.existsSync.mockReturnValue(true);
+        fs.readFileSync.mockReturnValue('version=1.3.9');
+        client.getContent.mockResolvedValue({
+            content: util.encode('version=1.3.9'),
+        });
+
+        const handler = new Handler(client, 'main', 'patch');
+        handler.mainVersion = '1.4.2';
+        const {changes, result} = await handler.handle('build.gradle');
+        expect(changes).toEqual([{path: 'build.gradle', content: 'version=1.4.3'}]);
+        expect(result.mainVersion).toBe('1.3.9');
+    });
+
+    it('should get the version on main', async () => {
+        client.getContent
+            .mockResolvedValueOnce({content: util.encode('1.4.2\n')})
+            .mockRejectedValueOnce({status: 404});
+
+        const handler = new Handler(client, 'main', 'patch');
+        expect(await handler.getMainVersion('VERSION')).toBe('1.4.2');
+        expect(await handler.getMainVersion('build.gradle')).toBeUndefined();
+    });
+
+    it('should bump past the versions of tags and other pull requests', async () => {
+        fs.existsSync.mockReturnValue(true);
+        fs.readFileSync.mockReturnValue('version=0.0.0');
+        client.getContent.mockImplementation(async (path, ref) => {
+            if (ref === 'other-sha') {
+                return {content: util.encode('version=0.0.2')};
+            }
+            if (ref === 'missing-sha') {
+                throw {status: 404};
+            }
+            return {content: util.encode('version=0.0.0')};
+        });
+
+        const collisions = {versions: ['0.0.1'], pullRequests: [{head: {sha: 'other-sha'}}, {head: {sha: 'missing-sha'}}], bump: true};
+        const handler = new Handler(client, 'main', 'patch', {collisions});
+        const {changes} = await handler.handle('build.gradle');
+        expect(changes).toEqual([{path: 'build.gradle', content: 'version=0.0.3'}]);
+        expect(client.getContent).toHaveBeenCalledWith('build.gradle', 'other-sha');
+    });
+
+    it('should fail when the version has been taken', async () => {
+        fs.existsSync.mockReturnValue(true);
+        fs.readFileSync.mockReturnValue('version=0.0.0');
+        client.getContent.mockResolvedValue({
+            content: util.encode('version=0.0.0'),
+        });
+
+        const handler = new Handler(client, 'main', 'patch', {collisions: {versions: ['0.0.1'], pullRequests: []}});
+        expect(await handler.handle('build.gradle')).toEqual({changes: []});
+        expect(core.setFailed).toHaveBeenCalledWith('Version 0.0.1 has already been taken by a tag or another pull request.');
+        expect(fs.writeFileSync).not.toHaveBeenCalled();
+    });
+
+    it('should read the branch through the API', async () => {
+        const files = {
+            'package.json': '{"name": "app", "version": "0.0.0"}\n',
+            'package-lock.json': '{"name": "app", "version": "0.0.0", "lockfileVersion": 3}\n',
+        };
+        client.getFileContent.mockImplementation(async path => files[path]);
+        client.getContent.mockResolvedValue({
+            content: util.encode(files['package.json']),
+        });
+
+        const handler = new Handler(client, 'main', 'minor', {branch: 'head-sha'});
+        const {changes} = await handler.handle('package.json');
+        expect(changes).toEqual([
+            {path: 'package.json', content: '{"name": "app", "version": "0.1.0"}\n'},
+            {path: 'package-lock.json', content: '{"name": "app", "version": "0.1.0", "lockfileVersion": 3}\n'},
+        ]);
+        expect(client.getFileContent).toHaveBeenCalledWith('package.json', 'head-sha');
+        expect(fs.existsSync).not.toHaveBeenCalled();
+        expect(fs.writeFileSync).not.toHaveBeenCalled();
+    });
+
+    it('should record the result of each file', async () => {
+        fs.existsSync.mockReturnValue(true);
+        fs.readFileSync.mockReturnValueOnce('0.1.0\n').mockReturnValueOnce('version=0.0.1');
+        client.getContent
+            .mockResolvedValueOnce({content: util.encode('0.0.0\n')})
+            .mockResolvedValueOnce({content: util.encode('version=0.0.0')});
+
+        const handler = new Handler(client, 'main', 'minor');
+        const {result} = await handler.handle('VERSION');
+        expect(result).toEqual({path: 'VERSION', mainVersion: '0.0.0', branchVersion: '0.1.0', nextVersion: '0.1.0', incremented: false});
+        await handler.handle('build.gradle');
+        expect(handler.results).toEqual([
+            {path: 'VERSION', mainVersion: '0.0.0', branchVersion: '0.1.0', nextVersion: '0.1.0', incremented: false},
+            {path: 'build.gradle', mainVersion: '0.0.0', branchVersion: '0.0.1', nextVersion: '0.1.0', incremented: true},
+        ]);
+    });
+
+    it('should not return a change for unsupported files', async () => {
+        fs.existsSync.mockReturnValue(true);
+        fs.readFileSync.mockReturnValue('version: 1.0.0');
+
+        const handler = new Handler(client, 'main', 'minor');
+        expect(await handler.handle('Chart.yaml')).toEqual({changes: []});
+        expect(fs.writeFileSync).not.toHaveBeenCalled();
+    });
+
+    it('should increment the version with the version scheme', async () => {
+        fs.existsSync.mockReturnValue(true);
+        fs.readFileSync.mockReturnValue('<Project>\n  <PropertyGroup>\n    <Version>1.2.3.4</Version>\n  </PropertyGroup>\n</Project>\n');
+        client.getContent.mockResolvedValue({
+            content: util.encode('<Project>\n  <PropertyGroup>\n    <Version>1.2.3.4</Version>\n  </PropertyGroup>\n</Project>\n'),
+        });
+
+        const handler = new Handler(client, 'main', 'minor', {scheme: fourPart});
+        const {result} = await handler.handle('App.csproj');
+        expect(result).toEqual({path: 'App.csproj', mainVersion: '1.2.3.4', branchVersion: '1.2.3.4', nextVersion: '1.3.0.0', incremented: true});
+        expect(core.setFailed).not.toHaveBeenCalled();
+    });
+
+    it('should add the changelog entry for the incremented version', async () => {
+        fs.existsSync.mockImplementation(path => path === 'VERSION');
+        fs.readFileSync.mockReturnValue('0.0.0\n');
+        client.getContent.mockResolvedValue({
+            content: util.encode('0.0.0\n'),
+        });
+
+        const handler = new Handler(client, 'main', 'minor');
+        expect(await handler.handleChangelog('CHANGELOG.md', {number: 1, title: 'Add login'}, [])).toBeUndefined();
+        await handler.handle('VERSION');
+        const change = await handler.handleChangelog('CHANGELOG.md', {number: 1, title: 'Add login'}, ['feat: add login']);
+        expect(change.path).toBe('CHANGELOG.md');
+        expect(change.content).toMatch(/^# Changelog\n/);
+        expect(change.content).toMatch(/\n## \[0\.1\.0] - \d{4}-\d{2}-\d{2}\n\nAdd login \(#1\)\n\n### Added\n\n- feat: add login\n$/);
+        expect(fs.writeFileSync).toHaveBeenCalledWith('CHANGELOG.md', change.content, 'utf8');
+    });
+
+    it('should include the package in the commit message', () => {
+        expect(new Handler(client, 'main', 'minor').getCommitMessage()).toBe('Bump minor version');
+        expect(new Handler(client, 'main', 'minor', {packageName: 'api'}).getCommitMessage()).toBe('Bump minor version of api');
+    });
+
+    it('should render the commit message template with the versions', async () => {
+        fs.existsSync.mockReturnValue(true);
+        fs.readFileSync.mockReturnValue('1.2.3\n');
+        client.getContent.mockResolvedValue({
+            content: util.encode('1.2.3\n'),
+        });
+
+        const template = 'chore(release): {{name}} {{previous}} → {{next}} ({{bump}}) [skip ci]';
+        const handler = new Handler(client, 'main', 'minor');
+        await handler.handle('VERSION');
+        expect(handler.getCommitMessage(template)).toBe('chore(release): VERSION 1.2.3 → 1.3.0 (minor) [skip ci]');
+
+        const packageHandler = new Handler(client, 'main', 'minor', {packageName: 'api'});
+        await packageHandler.handle('packages/api/VERSION');
+        expect(packageHandler.getCommitMessage(template)).toBe('chore(release): api 1.2.3 → 1.3.0 (minor) [skip ci]');
+
+        const projectHandler = new Handler(client, 'main', 'minor', {projectName: 'app'});
+        await projectHandler.handle('VERSION');
+        expect(projectHandler.getCommitMessage(template)).toBe('chore(release): app 1.2.3 → 1.3.0 (minor) [skip ci]');
+    });
+
+    it('should handle build.gradle with quotes and spaces', async () => {
+        const gradle = `plugins {\n    id 'java'\n}\n\ngroup = 'com.example'\nversion = '0.0.0'\nsourceCompatibility = '17'\n`;
+        client.getContent.mockResolvedValue({
+            content: util.encode(gradle),
+        });
+
+        const handler = new Handler(client, 'main', 'minor');
+        const newContent = await handleContent(handler, 'build.gradle', gradle);
+        expect(newContent).toBe(gradle.replace(`version = '0.0.0'`, `version = '0.1.0'`));
+    });
+
+    it('should handle build.gradle.kts', async () => {
+        const gradle = `plugins {\n    kotlin("jvm") version "1.9.0"\n}\n\nversion = "0.0.0"\n`;
+        client.getContent.mockResolvedValue({
+            content: util.encode(gradle),
+        });
+
+        const handler = new Handler(client, 'main', 'patch');
+        const newContent = await handleContent(handler, 'build.gradle.kts', gradle);
+        expect(newContent).toBe(gradle.replace(`version = "0.0.0"`, `version = "0.0.1"`));
+    });
+
+    it('should handle gradle.properties', async () => {
+        const properties = `kotlin_version=1.9.0\nversion = 0.0.0\norg.gradle.jvmargs=-Xmx2g\n`;
+        client.getContent.mockResolvedValue({
+            content: util.encode(properties),
+        });
+
+        const handler = new Handler(client, 'main', 'major');
+        const newContent = await handleContent(handler, 'gradle.properties', properties);
+        expect(newContent).toBe(properties.replace('version = 0.0.0', 'version = 1.0.0'));
+    });
+
+    it('should handle libs.versions.toml', async () => {
+        const catalog = `[versions]\nkotlin = "1.9.0"\nproject = "0.0.0"\n\n[libraries]\nkotlin-stdlib = { module = "org.jetbrains.kotlin:kotlin-stdlib", version.ref = "kotlin" }\n`;
+        client.getContent.mockResolvedValue({
+            content: util.encode(catalog),
+        });
+
+        const handler = new Handler(client, 'main', 'minor');
+        const newContent = await handleContent(handler, 'gradle/libs.versions.toml', catalog);
+        expect(newContent).toBe(catalog.replace('project = "0.0.0"', 'project = "0.1.0"'));
+    });
+
+    it('should fail when the version catalog has no project version', async () => {
+        const handler = new Handler(client, 'main', 'minor');
+        expect(await handleContent(handler, 'libs.versions.toml', '[versions]\nkotlin = "1.9.0"\n')).toBeUndefined();
+        expect(core.setFailed).toHaveBeenCalledWith('Unable to find version in version catalog for file libs.versions.toml');
+    });
+
+    it('should handle pyproject.toml', async () => {
+        const pyproject = `[build-system]\nrequires = ["setuptools"]\n\n[project]\nname = "app"\nversion = "0.0.0"\n`;
+        client.getContent.mockResolvedValue({
+            content: util.encode(pyproject),
+        });
+
+        const handler = new Handler(client, 'main', 'minor');
+        const newContent = await handleContent(handler, 'pyproject.toml', pyproject);
+        expect(newContent).toBe(pyproject.replace('version = "0.0.0"', 'version = "0.1.0"'));
+    });
+
+    it('should handle pyproject.toml with Poetry', async () => {
+        const pyproject = `[tool.poetry]\nname = "app"\nversion = "0.0.0"\n\n[tool.poetry.dependencies]\npython = "^3.11"\n`;
+        client.getContent.mockResolvedValue({
+            content: util.encode(pyproject),
+        });
+
+        const handler = new Handler(client, 'main', 'patch');
+        const newContent = await handleContent(handler, 'pyproject.toml', pyproject);
+        expect(newContent).toBe(pyproject.replace('version = "0.0.0"', 'version = "0.0.1"'));
+    });
+
+    it('should handle setup.cfg', async () => {
+        const setupCfg = `[options]\nversion = 9.9.9\n\n[metadata]\nname = app\nversion = 0.0.0\n`;
+        client.getContent.mockResolvedValue({
+            content: util.encode(setupCfg),
+        });
+
+        const handler = new Handler(client, 'main', 'major');
+        const newContent = await handleContent(handler, 'setup.cfg', setupCfg);
+        expect(newContent).toBe(setupCfg.replace('version = 0.0.0', 'version = 1.0.0'));
+    });
+
+    it('should not handle setup.cfg without a metadata version', async () => {
+        const handler = new Handler(client, 'main', 'major');
+        expect(await handleContent(handler, 'setup.cfg', `[metadata]\nname = app\n\n[options]\nversion = 1.0.0\n`)).toBeUndefined();
+        expect(core.setFailed).toHaveBeenCalledWith('Unable to find version in setup.cfg for file setup.cfg');
+    });
+
+    it('should handle Cargo.toml', async () => {
+        const cargo = `[package]\nname = "app"\nversion = "0.0.0"\n\n[dependencies]\nserde = { version = "1.0" }\n`;
+        client.getContent.mockResolvedValue({
+            content: util.encode(cargo),
+        });
+
+        const handler = new Handler(client, 'main', 'minor');
+        const newContent = await handleContent(handler, 'Cargo.toml', cargo);
+        expect(newContent).toBe(cargo.replace('version = "0.0.0"', 'version = "0.1.0"'));
+    });
+
+    it('should handle Cargo.toml workspace', async () => {
+        const cargo = `[workspace]\nmembers = ["crates/*"]\n\n[workspace.package]\nversion = "0.0.0"\n`;
+        client.getContent.mockResolvedValue({
+            content: util.encode(cargo),
+        });
+
+        const handler = new Handler(client, 'main', 'minor');
+        const newContent = await handleContent(handler, 'Cargo.toml', cargo);
+        expect(newContent).toBe(cargo.replace('version = "0.0.0"', 'version = "0.1.0"'));
+    });
+
+    it('should handle csproj', async () => {
+        const csproj = `<Project Sdk="Microsoft.NET.Sdk">\n  <PropertyGroup>\n    <TargetFramework>net8.0</TargetFramework>\n    <Version>0.0.0</Version>\n  </PropertyGroup>\n</Project>\n`;
+        client.getContent.mockResolvedValue({
+            content: util.encode(csproj),
+        });
+
+        const handler = new Handler(client, 'main', 'minor');
+        const newContent = await handleContent(handler, 'App.csproj', csproj);
+        expect(newContent).toBe(csproj.replace('<Version>0.0.0</Version>', '<Version>0.1.0</Version>'));
+    });
+
+    it('should handle VERSION', async () => {
+        client.getContent.mockResolvedValue({
+            content: util.encode('0.0.0\n'),
+        });
+
+        const handler = new Handler(client, 'main', 'patch');
+        const newContent = await handleContent(handler, 'VERSION', '0.0.0\n');
+        expect(newContent).toBe('0.0.1\n');
+    });
+
+    it('should handle custom patterns', async () => {
+        const dockerfile = `FROM node:20\nLABEL version="0.0.0"\n`;
+        client.getContent.mockResolvedValue({
+            content: util.encode(dockerfile),
+        });
+
+        const registry = Handler.createRegistry();
+        const regex = new RegExp('LABEL version="([^"]+)"', 'md');
+        registry.register('Dockerfile', {type: 'custom pattern', find: content => util.findRegexVersion(content, regex)});
+        const handler = new Handler(client, 'main', 'minor', {registry});
+        const newContent = await handleContent(handler, 'Dockerfile', dockerfile);
+        expect(newContent).toBe(dockerfile.replace('0.0.0', '0.1.0'));
+    });
+
+    it('should handle files registered in the registry', async () => {
+        fs.existsSync.mockReturnValue(true);
+        fs.readFileSync.mockReturnValue(`export const VERSION = '0.0.0';\n`);
+        client.getContent.mockResolvedValue({
+            content: util.encode(`export const VERSION = '0.0.0';\n`),
+        });
+
+        const registry = Handler.createRegistry();
+        const regex = new RegExp(`VERSION = '(?<version>[^']+)'`, 'md');
+        registry.register('src/version.ts', {type: 'custom pattern', find: content => util.findRegexVersion(content, regex)});
+        const handler = new Handler(client, 'main', 'major', {registry});
+        const {changes} = await handler.handle('src/version.ts');
+        expect(changes).toEqual([{path: 'src/version.ts', content: `export const VERSION = '1.0.0';\n`}]);
+    });
+
     it('should get main content', async () => {
         client.getContent.mockResolvedValue({
             content: 'aGVsbG8=',
@@ -0,0 +1,64 @@
+const http = require('http');
+const https = require('https');
+
+/**
+ * Sends a request to a JSON API.
+ * @param url The URL of the request.
+ * @param options Additional options for the request.
+ * @param options.method The HTTP method. Defaults to GET.
+ * @param options.headers The headers of the request.
+ * @param options.body The body of the request, sent as JSON.
+ * @returns {Promise<{status: number, headers: *, data: *}>} The response with the parsed JSON body.
+ */
+const request = (url, options = {}) => {
+    const body = options.body === undefined ? undefined : JSON.stringify(options.body);
+    const headers = {accept: 'application/json', ...options.headers};
+    if (body !== undefined) {
+        headers['content-type'] = 'application/json';
+        headers['content-length'] = Buffer.byteLength(body);
+    }
+    const transport = url.startsWith('https:') ? https : http;
+    return new Promise((resolve, reject) => {
+        const req = transport.request(url, {method: options.method || 'GET', headers}, res => {
+            const chunks = [];
+            res.on('data', chunk => chunks.push(chunk));
+            res.on('end', () => {
+                const text = Buffer.concat(chunks).toString('utf8');
+                let data;
+                try {
+                    data = text ? JSON.parse(text) : undefined;
+                } catch (e) {
+                    data = text;
+                }
+                if (res.statusCode < 200 || res.statusCode >= 300) {
+                    const message = data && data.message ? data.message : text;
+                    reject(new HttpError(`${options.method || 'GET'} ${url} failed with ${res.statusCode}: ${message}`, res.statusCode, res.headers));
+                    return;
+                }
+                resolve({status: res.statusCode, headers: res.headers, data});
+            });
+        });
+        req.on('error', reject);
+        if (body !== undefined) {
+            req.write(body);
+        }
+        req.end();
+    });
+};
+
+/**
+ * Thrown when the API responds with an error status. Like the errors of Octokit, the status is set.
+ */
+class HttpError extends Error {
+    constructor(message, status, headers) {
+        super(message);
+        this.name = 'HttpError';
+        this.status = status;
+        this.headers = headers;
+    }
+}
+
+module.exports = {
+    request,
+    HttpError,
+};
@@ -0,0 +1,132 @@
+/**
+ * Finds the string value at the path of keys. Only the location of the value is tracked so the document can be
+ * rewritten without changing its indentation, key order, line endings or anything else around the value.
+ * @param content The JSON document.
+ * @param path The keys leading to the value (e.g. ['packages', '', 'version']).
+ * @returns {{value: string, start: number, end: number}|undefined} The value and where it is located or undefined if it is not a string.
+ */
+const findValue = (content, path) => {
+    let i = skipWhitespace(content, 0);
+    for (const key of path) {
+        if (content[i] !== '{') {
+            return undefined;
+        }
+        i = findKey(content, i, key);
+        if (i === -1) {
+            return undefined;
+        }
+    }
+    if (content[i] !== '"') {
+        return undefined;
+    }
+    const end = skipString(content, i);
+    return {value: JSON.parse(content.slice(i, end)), start: i + 1, end: end - 1};
+};
+
+/**
+ * Finds the value of the key within an object.
+ * @param content The JSON document.
+ * @param from The index of the opening { of the object.
+ * @param key The key to find.
+ * @returns {number} The index of the value or -1 if the object does not have the key.
+ */
+const findKey = (content, from, key) => {
+    let i = skipWhitespace(content, from + 1);
+    while (i < content.length && content[i] === '"') {
+        const keyEnd = skipString(content, i);
+        const name = JSON.parse(content.slice(i, keyEnd));
+        // skip past the colon to the value
+        i = skipWhitespace(content, skipWhitespace(content, keyEnd) + 1);
+        if (name === key) {
+            return i;
+        }
+        i = skipWhitespace(content, skipValue(content, i));
+        if (content[i] === ',') {
+            i = skipWhitespace(content, i + 1);
+        }
+    }
+    return -1;
+};
+
+/**
+ * Skips past a value.
+ * @param content The JSON document.
+ * @param from The index of the start of the value.
+ * @returns {number} The index after the value.
+ */
+const skipValue = (content, from) => {
+    if (content[from] === '"') {
+        return skipString(content, from);
+    }
+    if (content[from] === '{' || content[from] === '[') {
+        let depth = 0;
+        let i = from;
+        while (i < content.length) {
+            const c = content[i];
+            if (c === '"') {
+                i = skipString(content, i);
+                continue;
+            }
+            if (c === '{' || c === '[') {
+                depth++;
+            } else if (c === '}' || c === ']') {
+                depth--;
+                if (depth === 0) {
+                    return i + 1;
+                }
+            }
+            i++;
+        }
+        return i;
+    }
+    let i = from;
+    while (i < content.length && !/[\s,}\]]/.test(content[i])) {
+        i++;
+    }
+    return i;
+};
+
+/**
+ * Skips past a string.
+ * @param content The JSON document.
+ * @param from The index of the opening quote.
+ * @returns {number} The index after the closing quote.
+ */
+const skipString = (content, from) => {
+    let i = from + 1;
+    while (i < content.length && content[i] !== '"') {
+        i += content[i] === '\\' ? 2 : 1;
+    }
+    return i + 1;
+};
+
+/**
+ * Skips past whitespace. A byte order mark counts as whitespace.
+ * @param content The JSON document.
+ * @param from The index to start from.
+ * @returns {number} The index of the next character that is not whitespace.
+ */
+const skipWhitespace = (content, from) => {
+    let i = from;
+    while (i < content.length && /\s/.test(content[i])) {
+        i++;
+    }
+    return i;
+};
+
+/**
+ * Replaces a value found by findValue.
+ * @param content The JSON document.
+ * @param value The value to replace.
+ * @param replacement The new value.
+ * @returns {string} The updated JSON document.
+ */
+const replaceValue = (content, value, replacement) => {
+    const escaped = JSON.stringify(replacement).slice(1, -1);
+    return content.slice(0, value.start) + escaped + content.slice(value.end);
+};
+
+module.exports = {
+    findValue,
+    replaceValue,
+};
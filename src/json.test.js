@@ -0,0 +1,49 @@
+const json = require('./json');
+
+const lockfile = `{
+  "name": "app",
+  "lockfileVersion": 3,
+  "requires": true,
+  "description": "a \\"quoted\\" {description}",
+  "packages": {
+    "": {
+      "name": "app",
+      "version": "1.2.3"
+    },
+    "node_modules/lib": {
+      "version": "4.5.6",
+      "bin": ["a", "b"]
+    }
+  },
+  "version": "1.2.3"
+}
+`;
+
+describe('find value', () => {
+    it('should find a top level value', () => {
+        const value = json.findValue(lockfile, ['version']);
+        expect(value.value).toBe('1.2.3');
+        expect(lockfile.slice(value.start, value.end)).toBe('1.2.3');
+        expect(value.start).toBe(lockfile.lastIndexOf('1.2.3'));
+    });
+
+    it('should find a nested value', () => {
+        expect(json.findValue(lockfile, ['packages', '', 'version']).start).toBe(lockfile.indexOf('1.2.3'));
+        expect(json.findValue(lockfile, ['packages', 'node_modules/lib', 'version']).value).toBe('4.5.6');
+    });
+
+    it('should be undefined when the value is not a string or does not exist', () => {
+        expect(json.findValue(lockfile, ['lockfileVersion'])).toBeUndefined();
+        expect(json.findValue(lockfile, ['packages', 'node_modules/other', 'version'])).toBeUndefined();
+        expect(json.findValue(lockfile, ['name', 'version'])).toBeUndefined();
+    });
+});
+
+describe('replace value', () => {
+    it('should only replace the value', () => {
+        const value = json.findValue(lockfile, ['version']);
+        const updated = json.replaceValue(lockfile, value, '2.0.0');
+        expect(updated).toBe(lockfile.slice(0, value.start) + '2.0.0' + lockfile.slice(value.end));
+        expect(JSON.parse(updated).version).toBe('2.0.0');
+    });
+});
@@ -1,40 +1,583 @@
 const core = require('@actions/core');
 const github = require('@actions/github');
+const fs = require('fs');
+const path = require('path');
+const YAML = require('yaml');
 const Client = require('./client');
+const GiteaClient = require('./gitea');
+const GitLabClient = require('./gitlab');
 const Handler = require('./handler');
+const report = require('./report');
+const {createScheme} = require('./scheme');
 const util = require('./util');
 
+const defaultBumps = ['major', 'minor', 'patch', 'premajor', 'preminor', 'prerelease', 'none', 'fail'];
+// how many times the versions are incremented again when the branch is updated while committing
+const maxCommitAttempts = 3;
+// the defaults of action.yml, which are not applied outside of Actions (e.g. on GitLab CI), read when first needed
+let inputDefaults;
+
 /**
  * Main entry point for the action.
  * @returns {Promise<void>}
  */
 const run = async () => {
     const context = github.context;
-    const token = core.getInput('token');
+    const token = getInput('token');
     if (!token) {
         throw new Error('No token provided');
     }
-    const octokit = github.getOctokit(token);
-    const branch = context.payload.pull_request.head.ref;
-    const mainBranch = context.payload.pull_request.base.ref;
+    const provider = getInput('provider');
+    const client = createClient(provider, token, context);
 
-    const client = new Client(octokit, context);
+    // user-defined patterns take precedence over the built-in file types
+    const registry = Handler.createRegistry();
+    for (const {pattern, regex} of util.parseCustomPatterns(getInput('custom-patterns'))) {
+        registry.register(pattern, {type: 'custom pattern', find: content => util.findRegexVersion(content, regex)});
+    }
+    const paths = getInput('files').split(',').filter(p => p);
+    const mode = getInput('mode');
+    if (mode !== 'update' && mode !== 'check') {
+        throw new Error(`Unsupported mode: ${mode}`);
+    }
+
+    // without a checkout, the files are read through the API
+    const checkout = getBooleanInput('checkout');
+    const scheme = createScheme(getInput('version-scheme'));
+
+    const event = await getEvent(provider, client, context);
+    if (event.name === 'push') {
+        if (mode === 'check') {
+            core.info('Nothing is released when only checking.');
+            return;
+        }
+        // a push to another branch (e.g. a release branch) has not been versioned by a PR into the default branch
+        if (event.branch && event.defaultBranch && event.branch !== event.defaultBranch) {
+            core.info(`Only pushes to ${event.defaultBranch} are released, not to ${event.branch}.`);
+            return;
+        }
+        for (const target of getReleaseTargets(paths, checkout, event.files)) {
+            await release(client, registry, target, event.sha, {checkout, scheme});
+        }
+    } else if (event.pullRequest) {
+        // the name of the repository stands for the project in the commit message when it is not a monorepo
+        const projectName = provider === 'gitlab' ? process.env.CI_PROJECT_NAME : context.repo && context.repo.repo;
+        await incrementPullRequest(client, registry, paths, event.pullRequest, {check: mode === 'check', checkout, scheme, projectName});
+    } else {
+        throw new Error(`Unsupported event: ${event.name}`);
+    }
+};
+
+/**
+ * Creates the client of the provider hosting the repository.
+ * @param provider Either github, gitlab or gitea.
+ * @param token The token to authenticate with.
+ * @param context The GitHub context. Gitea Actions provides the same context.
+ * @returns {*} The client.
+ */
+const createClient = (provider, token, context) => {
+    const apiUrl = getInput('api-url');
+    switch (provider) {
+        case 'github':
+            return new Client(github.getOctokit(token, apiUrl ? {baseUrl: apiUrl} : {}), context);
+        case 'gitlab':
+            return new GitLabClient(apiUrl || process.env.CI_API_V4_URL, token, process.env.CI_PROJECT_ID);
+        case 'gitea':
+            return new GiteaClient(apiUrl || process.env.GITHUB_API_URL, token, context.repo.owner, context.repo.repo);
+        default:
+            throw new Error(`Unsupported provider: ${provider}`);
+    }
+};
+
+/**
+ * Gets the event the action runs for. GitLab CI has no event payload, so the merge request is read through the API.
+ * @param provider Either github, gitlab or gitea.
+ * @param client The client of the provider.
+ * @param context The GitHub context.
+ * @returns {Promise<{name: string, sha: string, pullRequest: *, branch: string, defaultBranch: string, files: string[]}>}
+ * The name of the event and the SHA of the commit. For a pull request, the pull request. For a push, the pushed branch,
+ * the default branch of the repository and the changed files, when they are known.
+ */
+const getEvent = async (provider, client, context) => {
+    if (provider !== 'gitlab') {
+        const {payload} = context;
+        const event = {name: context.eventName, sha: context.sha, pullRequest: payload.pull_request};
+        if (context.eventName === 'push') {
+            event.branch = (payload.ref || '').replace(/^refs\/heads\//, '');
+            event.defaultBranch = payload.repository && payload.repository.default_branch;
+            event.files = payload.commits && payload.commits.flatMap(commit => [...(commit.added || []), ...(commit.modified || [])]);
+        }
+        return event;
+    }
+    const iid = process.env.CI_MERGE_REQUEST_IID;
+    if (iid) {
+        return {name: 'merge_request_event', sha: process.env.CI_COMMIT_SHA, pullRequest: await client.getPullRequest(Number(iid))};
+    }
+    return {
+        name: process.env.CI_PIPELINE_SOURCE,
+        sha: process.env.CI_COMMIT_SHA,
+        branch: process.env.CI_COMMIT_BRANCH,
+        defaultBranch: process.env.CI_DEFAULT_BRANCH,
+    };
+};
+
+/**
+ * Increments the version of the files on the branch of the PR.
+ * @param client The client to use to query the PR and commit the files.
+ * @param registry The registry of the supported file types.
+ * @param paths The paths to the files.
+ * @param payload The pull request of the event payload.
+ * @param options Additional options.
+ * @param options.check Only verify the files have been incremented without writing, committing or commenting.
+ * @param options.checkout Whether the branch has been checked out. Otherwise the files of the branch are read through the API.
+ * @param options.scheme The version scheme.
+ * @param options.projectName The name of the project, the name of the commit message when it is not a monorepo. Optional.
+ * @returns {Promise<void>}
+ */
+const incrementPullRequest = async (client, registry, paths, payload, {check, checkout, scheme, projectName}) => {
+    if (!check && isFork(payload)) {
+        // the token can write to the base repository, where the branch of a fork does not exist or is another branch
+        core.warning(`${payload.head.repo.full_name} is a fork, only checking the versions as its branch cannot be committed to.`);
+        check = true;
+    }
+    const branch = payload.head.ref;
+    const mainBranch = payload.base.ref;
+    const preReleaseId = getInput('prerelease-id');
+    // the commit is read rather than the branch, so the files are those of the event
+    const readFrom = checkout ? undefined : payload.head.sha;
+    // the commit the files are read from, the branch must still point to it when committing
+    let baseSHA = payload.head.sha;
 
     // determine what version we are going to increment based on the label on the PR
-    const pullRequest = await client.getPullRequest(context.payload.pull_request.number);
-    const versionToIncrement = util.getVersionToIncrement(pullRequest.labels);
+    const pullRequest = await client.getPullRequest(payload.number);
+    const {versionToIncrement: defaultVersionToIncrement, reason: defaultReason} = await getDefaultVersionToIncrement(client, pullRequest);
+    const changelogPath = getInput('changelog');
+    const collisions = await getCollisions(client, pullRequest);
+
+    const labelMapping = util.parseLabelMapping(getInput('label-mapping'));
+    const commitTemplate = getInput('commit-message');
+    const identities = {
+        author: util.parseIdentity(getInput('commit-author')),
+        committer: util.parseIdentity(getInput('commit-committer')),
+    };
+
+    const packages = getInput('packages');
+    const targets = [];
+    if (!packages) {
+        targets.push({files: paths, changelog: changelogPath});
+    } else {
+        // only the packages the PR touches are incremented, each with its own version
+        const changedFiles = await client.getPullRequestFiles(pullRequest.number);
+        const patterns = packages.split(',');
+        const directories = util.getChangedPackages(util.getPackageDirectories(patterns, checkout ? undefined : changedFiles), changedFiles);
+        for (const directory of directories) {
+            targets.push({
+                directory,
+                packageName: path.basename(directory),
+                files: paths.map(p => path.posix.join(directory, p)),
+                changelog: changelogPath && path.posix.join(directory, changelogPath),
+            });
+        }
+    }
+    const versioned = [];
+    for (const {directory, packageName, files, changelog} of targets) {
+        const versionToIncrement = util.getVersionToIncrement(pullRequest.labels, packageName, defaultVersionToIncrement, labelMapping);
+        const reason = getReason(pullRequest.labels, packageName, defaultReason, labelMapping);
+        const of = packageName ? ` of ${packageName}` : '';
+        if (versionToIncrement === 'fail') {
+            core.setFailed(`No label determines the version${of} to increment.`);
+            continue;
+        }
+        if (versionToIncrement === 'none') {
+            core.info(`Not incrementing the version${of} (${reason}).`);
+            continue;
+        }
+        // the tags of a package are those it is released with
+        const packageCollisions = collisions && {...collisions, versions: getTaggedVersions(collisions.tags, getTagPrefix(directory))};
+        versioned.push({packageName, files, changelog, versionToIncrement, reason, collisions: packageCollisions});
+    }
+    const createHandlers = (branchToRead) => {
+        // the packages update a file they share (e.g. the lockfile of a workspace) on top of each other
+        const pending = new Map();
+        return versioned.map(({packageName, files, changelog, versionToIncrement, reason, collisions}) => ({
+            handler: new Handler(client, mainBranch, versionToIncrement, {preReleaseId, packageName, projectName, registry, collisions, branch: branchToRead, check, scheme, pending}),
+            files,
+            changelog,
+            reason,
+        }));
+    };
+
+    // update all the files and commit them together
+    // the commits of the earlier runs are not changes of the PR
+    const commitMessages = changelogPath
+        ? (await client.getPullRequestCommitMessages(pullRequest.number)).filter(message => !isVersionCommit(message, commitTemplate))
+        : [];
+    let handlers = createHandlers(readFrom);
+    let changes;
+    let rows;
+    for (let attempt = 1; ; attempt++) {
+        let messages;
+        ({changes, messages, rows} = await updateFiles(handlers, pullRequest, commitMessages, commitTemplate));
+        if (changes.size === 0) {
+            break;
+        }
+        // a template is rendered for each package, so the first message is the subject and the others the body
+        const message = messages.length === 1 || commitTemplate ? messages.join('\n\n') : `Bump versions\n\n${messages.join('\n')}`;
+        try {
+            await client.commitFiles([...changes.values()], message, branch, identities, baseSHA);
+            break;
+        } catch (err) {
+            if (err instanceof Client.ConflictError && attempt < maxCommitAttempts) {
+                // the latest files of the branch are read, so a version pushed meanwhile is not incremented again
+                core.info(`${branch} was updated while committing, incrementing the versions again.`);
+                baseSHA = await client.getBranchSHA(branch);
+                handlers = createHandlers(baseSHA);
+            } else if (err instanceof Client.ProtectedBranchError) {
+                core.setFailed(err.message);
+                return;
+            } else {
+                throw err;
+            }
+        }
+    }
+    setOutputs(rows, [...changes.keys()]);
+
+    // report what will ship, including the files that were already incremented
+    const body = report.createReport(rows);
+    if (process.env.GITHUB_STEP_SUMMARY) {
+        await core.summary.addRaw(body).write();
+    }
+    // the token of a check usually cannot write to the PR
+    if (getBooleanInput('comment') && !check) {
+        await client.upsertComment(pullRequest.number, report.marker, body);
+    }
+};
 
-    const handler = new Handler(client, mainBranch, versionToIncrement);
+/**
+ * Determines if the commit is one the action made to increment the versions, by its subject.
+ * @param message The message of the commit.
+ * @param commitTemplate The template of the commit message. Optional.
+ * @returns {boolean} True if the subject is that of a commit of the action.
+ */
+const isVersionCommit = (message, commitTemplate) => {
+    const subject = message.split('\n')[0].trim();
+    if (/^Bump (versions|\w+ version( of .+)?)$/.test(subject)) {
+        return true;
+    }
+    return Boolean(commitTemplate) && util.matchesTemplate(subject, commitTemplate.split('\n')[0].trim());
+};
+
+/**
+ * Determines if the pull request is from a fork of the repository.
+ * @param payload The pull request of the event payload.
+ * @returns {boolean} True if the branch of the pull request is in another repository.
+ */
+const isFork = (payload) => {
+    const head = payload.head.repo;
+    const base = payload.base.repo;
+    return Boolean(head && base && head.full_name !== base.full_name);
+};
 
-    // update all the files
-    const paths = core.getInput('files').split(',');
+/**
+ * Gets the tags and pull requests whose versions to avoid so the same version is not released twice. The pull requests
+ * opened before the pull request claim their versions first, so two pull requests never bump past each other.
+ * @param client The client to use to query the tags and pull requests.
+ * @param pullRequest The pull request.
+ * @returns {Promise<*>} The names of the tags and the pull requests or undefined if collisions are ignored.
+ */
+const getCollisions = async (client, pullRequest) => {
+    const mode = getInput('collisions');
+    if (mode === 'ignore') {
+        return undefined;
+    }
+    if (mode !== 'fail' && mode !== 'bump') {
+        throw new Error(`Unsupported collisions mode: ${mode}`);
+    }
+    const tags = await client.getTags();
+    const pullRequests = (await client.getOpenPullRequests()).filter(p => p.number < pullRequest.number);
+    return {tags, pullRequests, bump: mode === 'bump'};
+};
+
+/**
+ * Gets the versions of the tags with the prefix.
+ * @param tags The names of the tags.
+ * @param tagPrefix The prefix of the tags.
+ * @returns {string[]} The versions.
+ */
+const getTaggedVersions = (tags, tagPrefix) => {
+    return tags.filter(tag => tag.startsWith(tagPrefix)).map(tag => tag.slice(tagPrefix.length));
+};
+
+/**
+ * Gets the prefix of the tags a package is released with. The tags of a package are prefixed with its directory.
+ * @param directory The directory of the package. Undefined without packages.
+ * @returns {string} The prefix of the tags (e.g. v or packages/api/v).
+ */
+const getTagPrefix = (directory) => {
+    return `${directory ? `${directory}/` : ''}${getInput('tag-prefix')}`;
+};
+
+/**
+ * Reads the version of every file on the main branch and sets the version the handler increments every file from, so
+ * all the files are incremented to the same next version.
+ * @param handler The handler of the files.
+ * @param files The paths to the files.
+ * @param syncMode Either fail to fail when the versions differ or highest to align the files to the highest version.
+ * @returns {Promise<boolean>} False if the versions differ and the job has been failed.
+ */
+const syncVersions = async (handler, files, syncMode) => {
+    if (syncMode !== 'fail' && syncMode !== 'highest') {
+        throw new Error(`Unsupported sync mode: ${syncMode}`);
+    }
+    const versions = [];
+    for (const file of files) {
+        const version = await handler.getMainVersion(file);
+        if (version) {
+            versions.push({file, version});
+        }
+    }
+    const distinct = [...new Set(versions.map(({version}) => version))];
+    if (distinct.length > 1 && syncMode === 'fail') {
+        const listed = versions.map(({file, version}) => `${file} (${version})`).join(', ');
+        core.setFailed(`The versions of the files differ on ${handler.mainBranch}: ${listed}`);
+        return false;
+    }
+    try {
+        handler.mainVersion = util.getHighestVersion(distinct, handler.scheme);
+    } catch (err) {
+        if (err instanceof util.InvalidVersionError) {
+            core.setFailed(err.message);
+            return false;
+        }
+        throw err;
+    }
+    return true;
+};
+
+/**
+ * Updates the files of each handler.
+ * A file shared by packages (e.g. the lockfile of a workspace) is updated on top of the changes of the previous packages.
+ * @param handlers The handlers with the files and changelog to update.
+ * @param pullRequest The pull request.
+ * @param commitMessages The messages of the commits on the PR, for the changelog.
+ * @param commitTemplate The template of the commit message of each handler. Optional.
+ * @returns {Promise<{changes: Map<string, {path: string, content: string}>, messages: string[], rows: *[]}>} The pending
+ * changes keyed by path, the commit message of each handler that changed a file and the versions of each file.
+ */
+const updateFiles = async (handlers, pullRequest, commitMessages, commitTemplate) => {
+    const changes = new Map();
+    const messages = [];
+    const rows = [];
+    const syncMode = getInput('sync-versions');
+    for (const {handler, files, changelog, reason} of handlers) {
+        if (syncMode && !await syncVersions(handler, files, syncMode)) {
+            continue;
+        }
+        const handlerChanges = [];
+        for (const file of files) {
+            const {changes: fileChanges, result} = await handler.handle(file);
+            handlerChanges.push(...fileChanges);
+            if (result) {
+                rows.push({...result, packageName: handler.packageName, versionToIncrement: handler.versionToIncrement, reason});
+            }
+        }
+        // the changelog is only updated when a version was incremented
+        const changelogChange = changelog && handlerChanges.length > 0 && await handler.handleChangelog(changelog, pullRequest, commitMessages);
+        if (changelogChange) {
+            handlerChanges.push(changelogChange);
+        }
+        if (handlerChanges.length > 0) {
+            handlerChanges.forEach(change => changes.set(change.path, change));
+            messages.push(handler.getCommitMessage(commitTemplate));
+        }
+    }
+    return {changes, messages, rows};
+};
+
+/**
+ * Sets the outputs of the action for the downstream steps. The single value outputs are those of the first file.
+ * @param rows The versions of each file.
+ * @param changedFiles The paths of the files that were committed.
+ */
+const setOutputs = (rows, changedFiles) => {
+    if (rows.length > 0) {
+        core.setOutput('previous-version', rows[0].mainVersion);
+        core.setOutput('new-version', rows[0].nextVersion);
+        core.setOutput('bump-type', rows[0].versionToIncrement);
+    }
+    core.setOutput('changed-files', changedFiles.join(','));
+    core.setOutput('committed', changedFiles.length > 0);
+    core.setOutput('versions', JSON.stringify(report.createVersions(rows)));
+};
+
+/**
+ * Gets what drove the version to increment.
+ * @param labels The labels on the PR.
+ * @param packageName The name of the package.
+ * @param defaultReason What drove the version to increment when no label is present.
+ * @param labelMapping The mapping of the labels to the version to increment.
+ * @returns {string} The reason.
+ */
+const getReason = (labels, packageName, defaultReason, labelMapping) => {
+    const label = util.getIncrementLabel(labels, packageName, labelMapping);
+    return label ? `\`${label}\` label` : defaultReason;
+};
+
+/**
+ * Gets the files to release the version of. With packages, each package is released on its own.
+ * @param paths The paths to the files.
+ * @param checkout Whether the commit has been checked out. Otherwise the package patterns are matched against the
+ * pushed files.
+ * @param pushedFiles The files changed by the push. Optional.
+ * @returns {{directory: string, files: string[]}[]} The package directory, undefined without packages, and its files.
+ */
+const getReleaseTargets = (paths, checkout, pushedFiles) => {
+    const packages = getInput('packages');
+    if (!packages) {
+        return [{files: paths}];
+    }
+    // a package whose version has already been released is skipped, as its tag exists
+    const directories = util.getPackageDirectories(packages.split(','), checkout ? undefined : pushedFiles || []);
+    return directories.map(directory => ({directory, files: paths.map(p => path.posix.join(directory, p))}));
+};
+
+/**
+ * Releases the version of the files after the PR has been merged. The commit is tagged with an annotated tag and a
+ * release with generated notes is created. The tags of a package are prefixed with its directory (e.g.
+ * packages/api/v1.2.3).
+ * @param client The client to use to create the tags and release.
+ * @param registry The registry of the supported file types.
+ * @param target The files to release and the directory of their package.
+ * @param sha The SHA of the commit to release.
+ * @param options Additional options.
+ * @param options.checkout Whether the commit has been checked out. Otherwise the files are read through the API.
+ * @param options.scheme The version scheme.
+ * @returns {Promise<void>}
+ */
+const release = async (client, registry, {directory, files: paths}, sha, {checkout, scheme}) => {
+    const read = checkout
+        ? async p => fs.existsSync(p) ? fs.readFileSync(p, 'utf8') : undefined
+        : async p => client.getFileContent(p, sha);
+    const version = await readVersion(registry, paths, read);
+    if (!version) {
+        core.setFailed(`Unable to find the version to release in ${paths.join(', ')}`);
+        return;
+    }
+    const tagPrefix = getTagPrefix(directory);
+    // read before anything is created, so an invalid input fails the job before the release
+    const moveMajorTag = getBooleanInput('move-major-tag');
+    const tag = `${tagPrefix}${version}`;
+    if (await client.tagExists(tag)) {
+        core.info(`Tag ${tag} already exists.`);
+        return;
+    }
+    const prerelease = scheme.isPreRelease(version);
+    await client.createTag(tag, sha, `Release ${tag}`);
+    await client.createRelease(tag, prerelease);
+    core.info(`Released ${tag}`);
+    core.setOutput('new-version', version);
+    // pre-releases never move the floating major tag
+    if (moveMajorTag && !prerelease) {
+        const majorTag = `${tagPrefix}${scheme.getMajor(version)}`;
+        await client.moveTag(majorTag, sha);
+        core.info(`Moved ${majorTag} to ${tag}`);
+    }
+};
+
+/**
+ * Reads the version from the first of the files that has one.
+ * @param registry The registry of the supported file types.
+ * @param paths The paths to the files.
+ * @param read Reads the content of a file. Resolves to undefined if the file does not exist.
+ * @returns {Promise<string|undefined>} The version or undefined if none of the files have a version.
+ */
+const readVersion = async (registry, paths, read) => {
     for (const p of paths) {
-        if (p) {
-            await handler.handle(p, branch);
+        const content = await read(p);
+        const version = content !== undefined && registry.findVersion(p, content);
+        if (version) {
+            return version;
         }
     }
+    return undefined;
+};
+
+/**
+ * Gets the version to increment when the PR has no version label.
+ * @param client The client to use to query the PR.
+ * @param pullRequest The pull request.
+ * @returns {Promise<{versionToIncrement: string, reason: string}>} The version to increment and what drove it. fail
+ * when the job should fail because no label is present.
+ */
+const getDefaultVersionToIncrement = async (client, pullRequest) => {
+    const defaultBump = getInput('default-bump');
+    if (!defaultBumps.includes(defaultBump)) {
+        throw new Error(`Unsupported default bump: ${defaultBump}`);
+    }
+    const bumpSource = getInput('bump-source');
+    switch (bumpSource) {
+        case 'labels':
+            return {versionToIncrement: defaultBump, reason: 'No label'};
+        case 'commits': {
+            // the labels still override the version determined from the commits
+            const messages = await client.getPullRequestCommitMessages(pullRequest.number);
+            if (getBooleanInput('include-pr-title')) {
+                messages.push(pullRequest.title);
+            }
+            const versionToIncrement = util.getVersionToIncrementFromCommits(messages);
+            return versionToIncrement ? {versionToIncrement, reason: 'Conventional Commits'} : {versionToIncrement: defaultBump, reason: 'No label'};
+        }
+        default:
+            throw new Error(`Unsupported bump source: ${bumpSource}`);
+    }
+};
+
+/**
+ * Gets the input of the action. GitLab CI variables cannot contain hyphens, so the input is also read from the variable
+ * with underscores (e.g. INPUT_TAG_PREFIX). An input that is not set falls back to the default of action.yml.
+ * @param name The name of the input.
+ * @returns {string} The trimmed value of the input or an empty string if it has no value.
+ */
+const getInput = (name) => {
+    if (process.env[`INPUT_${name.toUpperCase()}`] !== undefined) {
+        return core.getInput(name);
+    }
+    const alias = process.env[`INPUT_${name.replace(/-/g, '_').toUpperCase()}`];
+    if (alias !== undefined) {
+        return alias.trim();
+    }
+    return getInputDefault(name);
+};
+
+/**
+ * Gets the default of the input from action.yml, so the defaults are the same on every provider.
+ * @param name The name of the input.
+ * @returns {string} The default of the input or an empty string if it has none.
+ */
+const getInputDefault = (name) => {
+    if (!inputDefaults) {
+        const {inputs} = YAML.parse(fs.readFileSync(path.join(__dirname, '..', 'action.yml'), 'utf8'));
+        inputDefaults = new Map(Object.entries(inputs).map(([input, {default: value}]) => [input, value === undefined ? '' : String(value)]));
+    }
+    return inputDefaults.get(name) || '';
+};
+
+/**
+ * Gets the boolean input of the action, like core.getBooleanInput but with the defaults and aliases of getInput.
+ * @param name The name of the input.
+ * @returns {boolean} The value of the input.
+ */
+const getBooleanInput = (name) => {
+    const value = getInput(name);
+    if (['true', 'True', 'TRUE'].includes(value)) {
+        return true;
+    }
+    if (['false', 'False', 'FALSE'].includes(value)) {
+        return false;
+    }
+    throw new TypeError(`Input does not meet YAML 1.2 "Core Schema" specification: ${name}\nSupport boolean input list: \`true | True | TRUE | false | False | FALSE\``);
 };
 
-run();
+run().catch(err => core.setFailed(err.message));
 
 module.exports = run;
@@ -0,0 +1,396 @@
+const core = require('@actions/core');
+const github = require('@actions/github');
+const changelog = require('./changelog');
+const util = require('./util');
+
+jest
+    .mock('@actions/core', () => {
+        return {
+            getInput: jest.fn(name => (process.env[`INPUT_${name.replace(/ /g, '_').toUpperCase()}`] || '').trim()),
+            info: jest.fn(),
+            warning: jest.fn(),
+            setFailed: jest.fn(),
+            setOutput: jest.fn(),
+            summary: {addRaw: jest.fn().mockReturnThis(), write: jest.fn()},
+        };
+    })
+    .mock('@actions/github', () => {
+        return {
+            context: {},
+            getOctokit: jest.fn().mockReturnValue({}),
+        };
+    })
+    .mock('./client', () => {
+        const {ConflictError, ProtectedBranchError} = jest.requireActual('./client');
+        const Client = jest.fn();
+        Client.ConflictError = ConflictError;
+        Client.ProtectedBranchError = ProtectedBranchError;
+        return Client;
+    })
+    .mock('./gitlab', () => jest.fn());
+
+const Client = require('./client');
+const GitLabClient = require('./gitlab');
+const run = require('./main');
+
+describe('running the action', () => {
+    const env = process.env;
+    let client;
+    // the files of the main branch and of the branch of the pull request
+    let mainFiles;
+    let branchFiles;
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        process.env = {...env, INPUT_TOKEN: 'token', INPUT_FILES: 'package.json', INPUT_CHECKOUT: 'false'};
+        delete process.env.GITHUB_STEP_SUMMARY;
+        mainFiles = {'package.json': '{"version": "1.2.0"}'};
+        branchFiles = {'package.json': '{"version": "1.2.0"}'};
+        client = {
+            getPullRequest: jest.fn().mockResolvedValue({number: 7, title: 'Add login', labels: [{name: 'version:minor'}], head: {ref: 'login', sha: 'head-sha'}}),
+            getPullRequestFiles: jest.fn().mockResolvedValue([]),
+            getPullRequestCommitMessages: jest.fn().mockResolvedValue([]),
+            getOpenPullRequests: jest.fn().mockResolvedValue([]),
+            getTags: jest.fn().mockResolvedValue([]),
+            getContent: jest.fn(async (path) => {
+                if (mainFiles[path] === undefined) {
+                    throw Object.assign(new Error('Not Found'), {status: 404});
+                }
+                return {content: util.encode(mainFiles[path])};
+            }),
+            getFileContent: jest.fn(async (path) => branchFiles[path]),
+            commitFiles: jest.fn().mockResolvedValue('commit-sha'),
+            getBranchSHA: jest.fn().mockResolvedValue('updated-sha'),
+            upsertComment: jest.fn(),
+            tagExists: jest.fn().mockResolvedValue(false),
+            createTag: jest.fn(),
+            createRelease: jest.fn(),
+            moveTag: jest.fn(),
+        };
+        Client.mockImplementation(() => client);
+        GitLabClient.mockImplementation(() => client);
+        github.context = {
+            eventName: 'pull_request',
+            sha: 'head-sha',
+            repo: {owner: 'org', repo: 'app'},
+            payload: {
+                pull_request: {
+                    number: 7,
+                    head: {ref: 'login', sha: 'head-sha', repo: {full_name: 'org/app'}},
+                    base: {ref: 'main', repo: {full_name: 'org/app'}},
+                },
+            },
+        };
+    });
+
+    afterAll(() => {
+        process.env = env;
+    });
+
+    it('should increment and commit the version of the pull request', async () => {
+        await run();
+        expect(core.setFailed).not.toHaveBeenCalled();
+        expect(client.commitFiles).toHaveBeenCalledWith(
+            [{path: 'package.json', content: '{"version": "1.3.0"}'}],
+            'Bump minor version',
+            'login',
+            {author: undefined, committer: undefined},
+            'head-sha',
+        );
+        expect(client.upsertComment).toHaveBeenCalled();
+    });
+
+    it('should increment the versions again when the branch was updated while committing', async () => {
+        client.commitFiles.mockRejectedValueOnce(new Client.ConflictError('login was updated while committing.'));
+        await run();
+        expect(core.info).toHaveBeenCalledWith('login was updated while committing, incrementing the versions again.');
+        expect(client.getFileContent).toHaveBeenNthCalledWith(1, 'package.json', 'head-sha');
+        // the latest files of the branch are read on the second attempt
+        expect(client.getBranchSHA).toHaveBeenCalledWith('login');
+        expect(client.getFileContent).toHaveBeenCalledWith('package.json', 'updated-sha');
+        expect(client.commitFiles).toHaveBeenCalledTimes(2);
+        expect(client.commitFiles).toHaveBeenLastCalledWith(expect.any(Array), 'Bump minor version', 'login', expect.any(Object), 'updated-sha');
+        expect(core.setFailed).not.toHaveBeenCalled();
+    });
+
+    it('should not commit again when the version was already incremented on the updated branch', async () => {
+        client.commitFiles.mockImplementationOnce(async () => {
+            branchFiles = {'package.json': '{"version": "1.3.0"}'};
+            throw new Client.ConflictError('login was updated while committing.');
+        });
+        await run();
+        expect(client.commitFiles).toHaveBeenCalledTimes(1);
+        expect(core.setOutput).toHaveBeenCalledWith('committed', false);
+    });
+
+    it('should give up after the branch was updated while committing too often', async () => {
+        client.commitFiles.mockRejectedValue(new Client.ConflictError('login was updated while committing.'));
+        await expect(run()).rejects.toThrow(Client.ConflictError);
+        expect(client.commitFiles).toHaveBeenCalledTimes(3);
+    });
+
+    it('should fail when the branch is protected', async () => {
+        client.commitFiles.mockRejectedValue(new Client.ProtectedBranchError('Unable to commit to login because the branch is protected.'));
+        await run();
+        expect(core.setFailed).toHaveBeenCalledWith('Unable to commit to login because the branch is protected.');
+        expect(client.upsertComment).not.toHaveBeenCalled();
+    });
+
+    it('should only check the versions of a pull request from a fork', async () => {
+        github.context.payload.pull_request.head = {ref: 'main', sha: 'head-sha', repo: {full_name: 'someone/app'}};
+        await run();
+        expect(core.warning).toHaveBeenCalledWith('someone/app is a fork, only checking the versions as its branch cannot be committed to.');
+        expect(core.setFailed).toHaveBeenCalledWith(expect.stringMatching(/^Version of package.json is 1.2.0 but expected 1.3.0\n/));
+        expect(client.commitFiles).not.toHaveBeenCalled();
+        expect(client.upsertComment).not.toHaveBeenCalled();
+    });
+
+    it('should update the lockfile of the workspace for every package', async () => {
+        process.env.INPUT_PACKAGES = 'packages/*';
+        client.getPullRequestFiles.mockResolvedValue(['packages/api/index.js', 'packages/web/index.js']);
+        mainFiles = {
+            'packages/api/package.json': '{"version": "1.2.0"}',
+            'packages/web/package.json': '{"version": "0.4.0"}',
+        };
+        const lockfile = (api, web) => JSON.stringify({
+            lockfileVersion: 3,
+            packages: {'': {}, 'packages/api': {version: api}, 'packages/web': {version: web}},
+        }, null, 2);
+        branchFiles = {...mainFiles, 'package-lock.json': lockfile('1.2.0', '0.4.0')};
+        await run();
+        expect(core.setFailed).not.toHaveBeenCalled();
+        const [files] = client.commitFiles.mock.calls[0];
+        expect(files.find(file => file.path === 'package-lock.json').content).toBe(lockfile('1.3.0', '0.5.0'));
+    });
+
+    it('should avoid the versions of the tags of each package', async () => {
+        process.env = {...process.env, INPUT_PACKAGES: 'packages/*', INPUT_COLLISIONS: 'bump'};
+        client.getPullRequestFiles.mockResolvedValue(['packages/api/index.js', 'packages/web/index.js']);
+        client.getTags.mockResolvedValue(['v0.5.0', 'packages/api/v1.3.0']);
+        mainFiles = {
+            'packages/api/package.json': '{"version": "1.2.0"}',
+            'packages/web/package.json': '{"version": "0.4.0"}',
+        };
+        branchFiles = {...mainFiles};
+        await run();
+        expect(core.setFailed).not.toHaveBeenCalled();
+        const [files] = client.commitFiles.mock.calls[0];
+        expect(files).toEqual([
+            {path: 'packages/api/package.json', content: '{"version": "1.4.0"}'},
+            {path: 'packages/web/package.json', content: '{"version": "0.5.0"}'},
+        ]);
+    });
+
+    it('should leave the commits of the earlier runs out of the changelog', async () => {
+        process.env = {...process.env, INPUT_CHANGELOG: 'CHANGELOG.md', INPUT_COMMIT_MESSAGE: 'chore(release): {{name}} {{next}}'};
+        // the label changed from patch to minor after the first run
+        client.getPullRequestCommitMessages.mockResolvedValue([
+            'feat: add login',
+            'Bump patch version',
+            'chore(release): app 1.2.1',
+            'fix: handle expired tokens',
+        ]);
+        branchFiles['package.json'] = '{"version": "1.2.1"}';
+        const first = changelog.createEntry('1.2.1', '2026-10-18', {number: 7, title: 'Add login'}, ['feat: add login']);
+        branchFiles['CHANGELOG.md'] = changelog.updateChangelog('', first, 7);
+        await run();
+        expect(core.setFailed).not.toHaveBeenCalled();
+        const [files] = client.commitFiles.mock.calls[0];
+        const entry = files.find(file => file.path === 'CHANGELOG.md').content;
+        // the entry of the first run is replaced
+        expect(entry).not.toContain('1.2.1');
+        expect(entry).toContain('## [1.3.0]');
+        expect(entry).toContain('### Added\n\n- feat: add login\n');
+        expect(entry).toContain('### Fixed\n\n- fix: handle expired tokens\n');
+        expect(entry).not.toContain('### Changed');
+        expect(entry).not.toMatch(/Bump|chore\(release\)/);
+    });
+
+    describe('syncing the versions', () => {
+        const pom = version => `<project><artifactId>app</artifactId><version>${version}</version></project>`;
+
+        beforeEach(() => {
+            process.env.INPUT_FILES = 'package.json,pom.xml';
+            mainFiles = {'package.json': '{"version": "1.4.2"}', 'pom.xml': pom('1.3.9')};
+            branchFiles = {...mainFiles};
+        });
+
+        it('should fail when the versions differ on main', async () => {
+            process.env.INPUT_SYNC_VERSIONS = 'fail';
+            await run();
+            expect(core.setFailed).toHaveBeenCalledWith('The versions of the files differ on main: package.json (1.4.2), pom.xml (1.3.9)');
+            expect(client.commitFiles).not.toHaveBeenCalled();
+        });
+
+        it('should increment every file from the highest version', async () => {
+            process.env.INPUT_SYNC_VERSIONS = 'highest';
+            await run();
+            expect(core.setFailed).not.toHaveBeenCalled();
+            expect(client.commitFiles).toHaveBeenCalledWith(
+                [
+                    {path: 'package.json', content: '{"version": "1.5.0"}'},
+                    {path: 'pom.xml', content: pom('1.5.0')},
+                ],
+                'Bump minor version',
+                'login',
+                {author: undefined, committer: undefined},
+                'head-sha',
+            );
+        });
+
+        it('should increment every file independently without syncing', async () => {
+            await run();
+            expect(client.commitFiles).toHaveBeenCalledWith(
+                [
+                    {path: 'package.json', content: '{"version": "1.5.0"}'},
+                    {path: 'pom.xml', content: pom('1.4.0')},
+                ],
+                'Bump minor version',
+                'login',
+                {author: undefined, committer: undefined},
+                'head-sha',
+            );
+        });
+    });
+
+    it('should render the name of the repository in the commit message', async () => {
+        process.env = {...process.env, INPUT_COMMIT_MESSAGE: 'chore(release): {{name}} {{next}}'};
+        await run();
+        expect(core.setFailed).not.toHaveBeenCalled();
+        expect(client.commitFiles).toHaveBeenCalledWith(
+            expect.any(Array),
+            'chore(release): app 1.3.0',
+            'login',
+            {author: undefined, committer: undefined},
+            'head-sha',
+        );
+    });
+
+    it('should render the commit message of each package as the subject and body', async () => {
+        process.env = {
+            ...process.env,
+            INPUT_PACKAGES: 'packages/*',
+            INPUT_COMMIT_MESSAGE: 'chore(release): {{name}} {{next}}',
+        };
+        client.getPullRequestFiles.mockResolvedValue(['packages/api/index.js', 'packages/web/index.js']);
+        mainFiles = {
+            'packages/api/package.json': '{"name": "api", "version": "1.2.0"}',
+            'packages/web/package.json': '{"name": "web", "version": "0.4.0"}',
+        };
+        branchFiles = {...mainFiles};
+        await run();
+        expect(core.setFailed).not.toHaveBeenCalled();
+        expect(client.commitFiles).toHaveBeenCalledWith(
+            expect.any(Array),
+            'chore(release): api 1.3.0\n\nchore(release): web 0.5.0',
+            'login',
+            {author: undefined, committer: undefined},
+            'head-sha',
+        );
+    });
+
+    describe('releasing on push', () => {
+        beforeEach(() => {
+            github.context.eventName = 'push';
+            github.context.payload = {
+                ref: 'refs/heads/main',
+                repository: {default_branch: 'main'},
+                commits: [{added: [], modified: ['package.json']}],
+            };
+            branchFiles = {'package.json': '{"version": "1.3.0"}'};
+        });
+
+        it('should tag and release the version', async () => {
+            await run();
+            expect(core.setFailed).not.toHaveBeenCalled();
+            expect(client.tagExists).toHaveBeenCalledWith('v1.3.0');
+            expect(client.createTag).toHaveBeenCalledWith('v1.3.0', 'head-sha', 'Release v1.3.0');
+            expect(client.createRelease).toHaveBeenCalledWith('v1.3.0', false);
+            expect(core.setOutput).toHaveBeenCalledWith('new-version', '1.3.0');
+            expect(client.moveTag).not.toHaveBeenCalled();
+        });
+
+        it('should release a pre-release without moving the major tag', async () => {
+            process.env.INPUT_MOVE_MAJOR_TAG = 'true';
+            branchFiles = {'package.json': '{"version": "2.0.0-rc.0"}'};
+            await run();
+            expect(client.createRelease).toHaveBeenCalledWith('v2.0.0-rc.0', true);
+            expect(client.moveTag).not.toHaveBeenCalled();
+        });
+
+        it('should not release a version that has already been tagged', async () => {
+            client.tagExists.mockResolvedValue(true);
+            await run();
+            expect(core.info).toHaveBeenCalledWith('Tag v1.3.0 already exists.');
+            expect(client.createTag).not.toHaveBeenCalled();
+            expect(client.createRelease).not.toHaveBeenCalled();
+        });
+
+        it('should not release pushes to other branches', async () => {
+            github.context.payload.ref = 'refs/heads/release/1.x';
+            await run();
+            expect(core.info).toHaveBeenCalledWith('Only pushes to main are released, not to release/1.x.');
+            expect(client.createTag).not.toHaveBeenCalled();
+        });
+
+        it('should fail when no file has a version', async () => {
+            branchFiles = {};
+            await run();
+            expect(core.setFailed).toHaveBeenCalledWith('Unable to find the version to release in package.json');
+            expect(client.createTag).not.toHaveBeenCalled();
+        });
+
+        it('should release each pushed package with its own tag', async () => {
+            process.env.INPUT_PACKAGES = 'packages/*';
+            github.context.payload.commits = [
+                {added: ['packages/web/package.json'], modified: []},
+                {added: [], modified: ['packages/api/package.json']},
+            ];
+            branchFiles = {
+                'packages/api/package.json': '{"version": "1.3.0"}',
+                'packages/web/package.json': '{"version": "0.2.0"}',
+            };
+            await run();
+            expect(core.setFailed).not.toHaveBeenCalled();
+            expect(client.createTag.mock.calls).toEqual([
+                ['packages/api/v1.3.0', 'head-sha', 'Release packages/api/v1.3.0'],
+                ['packages/web/v0.2.0', 'head-sha', 'Release packages/web/v0.2.0'],
+            ]);
+        });
+    });
+
+    it('should apply the defaults of the inputs on GitLab CI', async () => {
+        process.env = {
+            ...process.env,
+            INPUT_PROVIDER: 'gitlab',
+            CI_PIPELINE_SOURCE: 'push',
+            CI_COMMIT_SHA: 'merge-sha',
+            CI_API_V4_URL: 'https://gitlab.example.com/api/v4',
+            CI_PROJECT_ID: '1',
+        };
+        delete process.env.CI_MERGE_REQUEST_IID;
+        branchFiles = {'package.json': '{"version": "1.3.0"}'};
+        await run();
+        expect(core.setFailed).not.toHaveBeenCalled();
+        expect(client.createTag).toHaveBeenCalledWith('v1.3.0', 'merge-sha', 'Release v1.3.0');
+        expect(client.moveTag).not.toHaveBeenCalled();
+    });
+
+    it('should read the inputs with underscores', async () => {
+        process.env = {...process.env, INPUT_TAG_PREFIX: 'release-', INPUT_MOVE_MAJOR_TAG: 'true'};
+        github.context.eventName = 'push';
+        branchFiles = {'package.json': '{"version": "1.3.0"}'};
+        await run();
+        expect(client.createTag).toHaveBeenCalledWith('release-1.3.0', 'head-sha', 'Release release-1.3.0');
+        expect(client.moveTag).toHaveBeenCalledWith('release-1', 'head-sha');
+    });
+
+    it('should fail before releasing when a boolean input is invalid', async () => {
+        process.env = {...process.env, INPUT_MOVE_MAJOR_TAG: 'yes'};
+        github.context.eventName = 'push';
+        branchFiles = {'package.json': '{"version": "1.3.0"}'};
+        await expect(run()).rejects.toThrow('Input does not meet YAML 1.2 "Core Schema" specification: move-major-tag');
+        expect(client.createTag).not.toHaveBeenCalled();
+        expect(client.createRelease).not.toHaveBeenCalled();
+    });
+});
@@ -0,0 +1,89 @@
+/**
+ * Registry of the file types that can be updated, keyed by filename or glob.
+ */
+class Registry {
+    /**
+     * Creates a new empty registry.
+     */
+    constructor() {
+        this.fileTypes = [];
+    }
+
+    /**
+     * Registers a file type. Patterns without a slash are matched against the name of the file, otherwise against the
+     * whole path. When multiple patterns match a file, the most recently registered one wins.
+     * @param pattern The filename or glob (e.g. *.csproj or src/version.ts).
+     * @param fileType The file type.
+     * @param fileType.type The name of the file type, used when reporting errors.
+     * @param fileType.find Locates the version within the content of a file. Returns the value, start and end of the version.
+     * @param fileType.dependents Optional. Updates the files depending on the file, given the handler, path and new content. Returns the pending changes.
+     */
+    register(pattern, fileType) {
+        this.fileTypes.unshift({regex: globToRegex(pattern), matchPath: pattern.includes('/'), ...fileType});
+    }
+
+    /**
+     * Finds the file type of the file.
+     * @param path The path to the file.
+     * @returns {*} The file type or undefined if the file is not supported.
+     */
+    find(path) {
+        const normalized = path.replace(/^\.\//, '');
+        const name = normalized.split('/').pop();
+        return this.fileTypes.find(fileType => fileType.regex.test(fileType.matchPath ? normalized : name));
+    }
+
+    /**
+     * Finds the version of the file.
+     * @param path The path to the file.
+     * @param content The content of the file.
+     * @returns {string|undefined} The version or undefined if the file is not supported or has no version.
+     */
+    findVersion(path, content) {
+        const fileType = this.find(path);
+        const version = fileType && fileType.find(content);
+        return version ? version.value : undefined;
+    }
+}
+
+/**
+ * Converts a glob to a case-insensitive regex. Supports *, **, ? and {a,b}.
+ * @param glob The glob.
+ * @returns {RegExp} The regex.
+ */
+const globToRegex = (glob) => {
+    let regex = '';
+    let depth = 0;
+    for (let i = 0; i < glob.length; i++) {
+        const c = glob[i];
+        if (c === '*' && glob[i + 1] === '*') {
+            // **/ also matches no directories at all
+            if (glob[i + 2] === '/') {
+                regex += '(?:.*/)?';
+                i += 2;
+            } else {
+                regex += '.*';
+                i++;
+            }
+        } else if (c === '*') {
+            regex += '[^/]*';
+        } else if (c === '?') {
+            regex += '[^/]';
+        } else if (c === '{') {
+            regex += '(?:';
+            depth++;
+        } else if (c === '}' && depth > 0) {
+            regex += ')';
+            depth--;
+        } else if (c === ',' && depth > 0) {
+            regex += '|';
+        } else {
+            regex += c.replace(/[.+^$(){}|[\]\\]/g, '\\$&');
+        }
+    }
+    return new RegExp(`^${regex}$`, 'i');
+};
+
+Registry.globToRegex = globToRegex;
+
+module.exports = Registry;
@@ -0,0 +1,44 @@
+const Registry = require('./registry');
+
+describe('registry', () => {
+    let registry;
+
+    beforeEach(() => {
+        registry = new Registry();
+        registry.register('*.json', {name: 'json'});
+        registry.register('{VERSION,VERSION.txt}', {name: 'version'});
+        registry.register('charts/**/Chart.yaml', {name: 'chart'});
+        registry.register('src/version.?s', {name: 'source'});
+    });
+
+    it('should match the name of the file', () => {
+        expect(registry.find('packages/api/package.json').name).toBe('json');
+        expect(registry.find('./Package.JSON').name).toBe('json');
+    });
+
+    it('should match alternatives', () => {
+        expect(registry.find('VERSION').name).toBe('version');
+        expect(registry.find('VERSION.txt').name).toBe('version');
+        expect(registry.find('VERSION.md')).toBeUndefined();
+    });
+
+    it('should match the whole path when the pattern has a slash', () => {
+        expect(registry.find('charts/Chart.yaml').name).toBe('chart');
+        expect(registry.find('charts/app/templates/Chart.yaml').name).toBe('chart');
+        expect(registry.find('other/charts/Chart.yaml')).toBeUndefined();
+        expect(registry.find('src/version.ts').name).toBe('source');
+        expect(registry.find('src/lib/version.ts')).toBeUndefined();
+    });
+
+    it('should find the version of the file', () => {
+        registry.register('VERSION', {find: content => ({value: content.trim()})});
+        expect(registry.findVersion('VERSION', '1.2.3\n')).toBe('1.2.3');
+        expect(registry.findVersion('Chart.yaml', 'version: 1.2.3')).toBeUndefined();
+    });
+
+    it('should prefer the most recently registered file type', () => {
+        registry.register('package.json', {name: 'custom'});
+        expect(registry.find('package.json').name).toBe('custom');
+        expect(registry.find('tsconfig.json').name).toBe('json');
+    });
+});
@@ -0,0 +1,68 @@
+const marker = '<!-- next-version:report -->';
+
+/**
+ * Creates the report of the computed versions.
+ * @param rows The versions of each file.
+ * @param rows.path The path to the file.
+ * @param rows.packageName The name of the package the file belongs to when running against a monorepo.
+ * @param rows.mainVersion The version on the main branch.
+ * @param rows.branchVersion The version on the branch before it was incremented.
+ * @param rows.nextVersion The version the file will ship with.
+ * @param rows.incremented Whether the version was incremented on this run.
+ * @param rows.versionToIncrement The version that was incremented.
+ * @param rows.reason What drove the version to increment (e.g. the label).
+ * @returns {string} The report as Markdown.
+ */
+const createReport = (rows) => {
+    const lines = [marker, '## Next Version', ''];
+    if (rows.length === 0) {
+        lines.push('No files were versioned.');
+        return lines.join('\n');
+    }
+    const packages = rows.some(row => row.packageName);
+    const header = ['File', 'Main Version', 'Branch Version', 'New Version', 'Increment', 'Driven By'];
+    if (packages) {
+        header.unshift('Package');
+    }
+    lines.push(`| ${header.join(' | ')} |`, `|${header.map(() => '---').join('|')}|`);
+    for (const row of rows) {
+        const cells = [
+            `\`${row.path}\``,
+            `\`${row.mainVersion}\``,
+            `\`${row.branchVersion}\``,
+            `\`${row.nextVersion}\`${row.incremented ? '' : ' (already incremented)'}`,
+            row.versionToIncrement,
+            row.reason,
+        ];
+        if (packages) {
+            cells.unshift(row.packageName || '');
+        }
+        lines.push(`| ${cells.join(' | ')} |`);
+    }
+    return lines.join('\n');
+};
+
+/**
+ * Maps each file to its versions.
+ * @param rows The versions of each file.
+ * @returns {Object<string, {previous: string, branch: string, new: string, bumpType: string, incremented: boolean}>} The versions keyed by the path to the file.
+ */
+const createVersions = (rows) => {
+    const versions = {};
+    for (const row of rows) {
+        versions[row.path] = {
+            previous: row.mainVersion,
+            branch: row.branchVersion,
+            new: row.nextVersion,
+            bumpType: row.versionToIncrement,
+            incremented: row.incremented,
+        };
+    }
+    return versions;
+};
+
+module.exports = {
+    marker,
+    createReport,
+    createVersions,
+};
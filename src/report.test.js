@@ -0,0 +1,38 @@
+const report = require('./report');
+
+describe('create report', () => {
+    it('should report each file', () => {
+        const body = report.createReport([
+            {path: 'package.json', mainVersion: '1.2.3', branchVersion: '1.2.3', nextVersion: '1.3.0', incremented: true, versionToIncrement: 'minor', reason: '`version:minor` label'},
+            {path: 'pom.xml', mainVersion: '1.2.3', branchVersion: '1.3.0', nextVersion: '1.3.0', incremented: false, versionToIncrement: 'minor', reason: '`version:minor` label'},
+        ]);
+        expect(body).toBe(`${report.marker}
+## Next Version
+
+| File | Main Version | Branch Version | New Version | Increment | Driven By |
+|---|---|---|---|---|---|
+| \`package.json\` | \`1.2.3\` | \`1.2.3\` | \`1.3.0\` | minor | \`version:minor\` label |
+| \`pom.xml\` | \`1.2.3\` | \`1.3.0\` | \`1.3.0\` (already incremented) | minor | \`version:minor\` label |`);
+    });
+
+    it('should report the package of each file', () => {
+        const body = report.createReport([
+            {path: 'packages/api/package.json', packageName: 'api', mainVersion: '0.1.0', branchVersion: '0.1.0', nextVersion: '0.1.1', incremented: true, versionToIncrement: 'patch', reason: 'No label'},
+        ]);
+        expect(body).toContain('| Package | File |');
+        expect(body).toContain('| api | `packages/api/package.json` |');
+    });
+
+    it('should report when no files were versioned', () => {
+        expect(report.createReport([])).toBe(`${report.marker}\n## Next Version\n\nNo files were versioned.`);
+    });
+});
+
+describe('create versions', () => {
+    it('should map each file to its versions', () => {
+        const rows = [{path: 'VERSION', mainVersion: '1.0.0', branchVersion: '1.0.0', nextVersion: '1.1.0', versionToIncrement: 'minor', incremented: true}];
+        expect(report.createVersions(rows)).toEqual({
+            VERSION: {previous: '1.0.0', branch: '1.0.0', new: '1.1.0', bumpType: 'minor', incremented: true},
+        });
+    });
+});
@@ -0,0 +1,69 @@
+const defaultRetries = 3;
+// waiting longer than this for a rate limit to reset would rather hold up the job than help it
+const defaultMaxDelay = 5 * 60 * 1000;
+// a failed request with these methods can be sent again without writing twice
+const idempotentMethods = ['GET', 'HEAD', 'OPTIONS', 'PUT', 'DELETE'];
+
+/**
+ * Sends the request, retrying with a backoff when rate limited or when the server fails. The delay honors the
+ * retry-after and x-ratelimit-reset headers of the response. A server failure may have happened after the write, so
+ * only idempotent requests are retried when the server fails.
+ * @param send Sends the request. The errors of a failed request have the status and headers of the response.
+ * @param options Additional options.
+ * @param options.method The HTTP method of the request. Defaults to GET.
+ * @param options.retries The number of times to retry. Defaults to 3.
+ * @param options.maxDelay The longest to wait before a retry, in milliseconds. Defaults to 5 minutes.
+ * @param options.sleep Waits for the delay, in milliseconds.
+ * @returns {Promise<*>} The response.
+ */
+const withRetry = async (send, options = {}) => {
+    const retries = options.retries === undefined ? defaultRetries : options.retries;
+    const maxDelay = options.maxDelay === undefined ? defaultMaxDelay : options.maxDelay;
+    const sleep = options.sleep || (ms => new Promise(resolve => setTimeout(resolve, ms)));
+    for (let attempt = 0; ; attempt++) {
+        try {
+            return await send();
+        } catch (err) {
+            const delay = getRetryDelay(err, attempt, Date.now(), options.method);
+            if (delay === undefined || delay > maxDelay || attempt >= retries) {
+                throw err;
+            }
+            await sleep(delay);
+        }
+    }
+};
+
+/**
+ * Gets how long to wait before retrying the failed request.
+ * @param err The error of the request.
+ * @param attempt The number of retries so far.
+ * @param now The current time, in milliseconds since the epoch.
+ * @param method The HTTP method of the request. Defaults to GET.
+ * @returns {number|undefined} The delay in milliseconds or undefined if the request should not be retried.
+ */
+const getRetryDelay = (err, attempt, now, method = 'GET') => {
+    // Octokit keeps the headers on the response, the http module on the error itself
+    const headers = (err.response && err.response.headers) || err.headers || {};
+    const retryAfter = headers['retry-after'];
+    const reset = headers['x-ratelimit-reset'];
+    // secondary rate limits respond with 403 rather than 429
+    const rateLimited = err.status === 429 || (err.status === 403 && (retryAfter !== undefined || headers['x-ratelimit-remaining'] === '0'));
+    // a rate limited request was never handled, so even a POST is safe to send again
+    if (!rateLimited && !(err.status >= 500 && idempotentMethods.includes(method.toUpperCase()))) {
+        return undefined;
+    }
+    if (retryAfter !== undefined) {
+        // either a number of seconds or an HTTP date
+        const seconds = Number(retryAfter);
+        return Math.max(0, isNaN(seconds) ? Date.parse(retryAfter) - now : seconds * 1000);
+    }
+    if (rateLimited && reset !== undefined) {
+        return Math.max(0, Number(reset) * 1000 - now);
+    }
+    return 1000 * 2 ** attempt;
+};
+
+module.exports = {
+    withRetry,
+    getRetryDelay,
+};
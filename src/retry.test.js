@@ -0,0 +1,83 @@
+const {withRetry, getRetryDelay} = require('./retry');
+
+describe('getting the retry delay', () => {
+    const now = Date.parse('2024-01-01T00:00:00Z');
+
+    it('should wait the seconds of retry-after', () => {
+        expect(getRetryDelay({status: 429, headers: {'retry-after': '30'}}, 0, now)).toBe(30000);
+    });
+
+    it('should wait until the date of retry-after', () => {
+        expect(getRetryDelay({status: 429, headers: {'retry-after': 'Mon, 01 Jan 2024 00:01:00 GMT'}}, 0, now)).toBe(60000);
+    });
+
+    it('should wait until the rate limit resets', () => {
+        const err = {status: 403, response: {headers: {'x-ratelimit-remaining': '0', 'x-ratelimit-reset': String(now / 1000 + 10)}}};
+        expect(getRetryDelay(err, 0, now)).toBe(10000);
+    });
+
+    it('should back off when the server fails', () => {
+        expect(getRetryDelay({status: 502, headers: {}}, 0, now)).toBe(1000);
+        expect(getRetryDelay({status: 503, headers: {}}, 2, now)).toBe(4000);
+    });
+
+    it('should only back off for idempotent requests when the server fails', () => {
+        expect(getRetryDelay({status: 502, headers: {}}, 0, now, 'PUT')).toBe(1000);
+        expect(getRetryDelay({status: 502, headers: {}}, 0, now, 'POST')).toBeUndefined();
+        expect(getRetryDelay({status: 502, headers: {}}, 0, now, 'patch')).toBeUndefined();
+    });
+
+    it('should retry rate limited writes', () => {
+        expect(getRetryDelay({status: 429, headers: {'retry-after': '5'}}, 0, now, 'POST')).toBe(5000);
+        expect(getRetryDelay({status: 403, headers: {'retry-after': '5'}}, 0, now, 'POST')).toBe(5000);
+    });
+
+    it('should not retry other errors', () => {
+        expect(getRetryDelay({status: 404, headers: {}}, 0, now)).toBeUndefined();
+        expect(getRetryDelay({status: 403, headers: {}}, 0, now)).toBeUndefined();
+        expect(getRetryDelay(new Error('socket hang up'), 0, now)).toBeUndefined();
+    });
+});
+
+describe('retrying requests', () => {
+    it('should retry until the request succeeds', async () => {
+        const sleep = jest.fn();
+        const send = jest.fn()
+            .mockRejectedValueOnce({status: 429, headers: {'retry-after': '1'}})
+            .mockRejectedValueOnce({status: 500, headers: {}})
+            .mockResolvedValueOnce('response');
+        expect(await withRetry(send, {sleep})).toBe('response');
+        expect(send).toHaveBeenCalledTimes(3);
+        expect(sleep).toHaveBeenCalledWith(1000);
+        expect(sleep).toHaveBeenCalledWith(2000);
+    });
+
+    it('should fail after the retries', async () => {
+        const sleep = jest.fn();
+        const send = jest.fn().mockRejectedValue({status: 500, headers: {}});
+        await expect(withRetry(send, {retries: 2, sleep})).rejects.toEqual({status: 500, headers: {}});
+        expect(send).toHaveBeenCalledTimes(3);
+    });
+
+    it('should not retry errors that are not retryable', async () => {
+        const sleep = jest.fn();
+        const send = jest.fn().mockRejectedValue({status: 404, headers: {}});
+        await expect(withRetry(send, {sleep})).rejects.toEqual({status: 404, headers: {}});
+        expect(send).toHaveBeenCalledTimes(1);
+        expect(sleep).not.toHaveBeenCalled();
+    });
+
+    it('should not retry writes when the server fails', async () => {
+        const sleep = jest.fn();
+        const send = jest.fn().mockRejectedValue({status: 500, headers: {}});
+        await expect(withRetry(send, {method: 'POST', sleep})).rejects.toEqual({status: 500, headers: {}});
+        expect(send).toHaveBeenCalledTimes(1);
+    });
+
+    it('should not wait longer than the max delay', async () => {
+        const sleep = jest.fn();
+        const send = jest.fn().mockRejectedValue({status: 429, headers: {'retry-after': '3600'}});
+        await expect(withRetry(send, {sleep})).rejects.toEqual({status: 429, headers: {'retry-after': '3600'}});
+        expect(sleep).not.toHaveBeenCalled();
+    });
+});
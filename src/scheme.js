@@ -0,0 +1,151 @@
+const util = require('./util');
+
+const fourPartRegex = /^(0|[1-9]\d*)\.(0|[1-9]\d*)\.(0|[1-9]\d*)\.(0|[1-9]\d*)$/;
+
+// the segments of a CalVer format, see https://calver.org
+const calVerSegments = {
+    YYYY: {pattern: '\\d{4}', date: d => d.getUTCFullYear()},
+    YY: {pattern: '0|[1-9]\\d{0,2}', date: d => d.getUTCFullYear() - 2000},
+    '0Y': {pattern: '\\d{2,3}', date: d => d.getUTCFullYear() - 2000, padded: true},
+    MM: {pattern: '[1-9]|1[0-2]', date: d => d.getUTCMonth() + 1},
+    '0M': {pattern: '0[1-9]|1[0-2]', date: d => d.getUTCMonth() + 1, padded: true},
+    DD: {pattern: '[1-9]|[12]\\d|3[01]', date: d => d.getUTCDate()},
+    '0D': {pattern: '0[1-9]|[12]\\d|3[01]', date: d => d.getUTCDate(), padded: true},
+    MAJOR: {pattern: '0|[1-9]\\d*', counter: 'major'},
+    MINOR: {pattern: '0|[1-9]\\d*', counter: 'minor'},
+    MICRO: {pattern: '0|[1-9]\\d*', counter: 'patch'},
+};
+
+/**
+ * Four-part versioning of major.minor.patch.build (e.g. .NET assemblies). A prerelease increments the build, as there
+ * are no pre-releases.
+ */
+const fourPart = {
+    description: 'four-part versioning of major.minor.patch.build',
+    isValid: version => typeof version === 'string' && fourPartRegex.test(version),
+    increment: (version, versionToIncrement) => {
+        const [major, minor, patch, build] = parseFourPart(version);
+        switch (versionToIncrement) {
+            case 'major':
+                return `${major + 1}.0.0.0`;
+            case 'minor':
+                return `${major}.${minor + 1}.0.0`;
+            case 'prerelease':
+                return `${major}.${minor}.${patch}.${build + 1}`;
+            case 'premajor':
+            case 'preminor':
+                throw new util.InvalidVersionError(`Four-part versions have no pre-releases, use prerelease to increment the build`);
+            case 'patch':
+            default:
+                return `${major}.${minor}.${patch + 1}.0`;
+        }
+    },
+    compare: (a, b) => compareParts(parseFourPart(a), parseFourPart(b)),
+    isPreRelease: () => false,
+    getMajor: version => parseFourPart(version)[0],
+};
+
+/**
+ * Parses a four-part version.
+ * @param version The version to parse.
+ * @returns {number[]} The major, minor, patch and build.
+ */
+const parseFourPart = (version) => {
+    if (!fourPart.isValid(version)) {
+        throw new util.InvalidVersionError(`Version does not follow ${fourPart.description}: ${version}`);
+    }
+    return version.split('.').map(Number);
+};
+
+/**
+ * Creates the calendar versioning scheme of the format (e.g. YYYY.MM.MICRO or YY.0M.DD). The date segments are those
+ * of the run date. When the date has not changed since the current version, the counter of the version to increment
+ * (MAJOR, MINOR or MICRO for major, minor and patch) is incremented instead, falling back to the last counter of the
+ * format.
+ * @param format The format, with the segments separated by dots.
+ * @param date The date of the run. Defaults to now.
+ * @returns {*} The version scheme.
+ */
+const createCalVer = (format, date = new Date()) => {
+    const segments = format.split('.');
+    if (segments.some(segment => !calVerSegments[segment])) {
+        throw new Error(`Unsupported CalVer format: ${format}`);
+    }
+    const regex = new RegExp(`^${segments.map(segment => `(${calVerSegments[segment].pattern})`).join('\\.')}$`);
+    const description = `calendar versioning of ${format}`;
+    const parse = (version) => {
+        const matches = typeof version === 'string' ? version.match(regex) : null;
+        if (!matches) {
+            throw new util.InvalidVersionError(`Version does not follow ${description}: ${version}`);
+        }
+        return matches.slice(1).map(Number);
+    };
+    const counters = segments.filter(segment => calVerSegments[segment].counter);
+    return {
+        description,
+        isValid: version => typeof version === 'string' && regex.test(version),
+        increment: (version, versionToIncrement) => {
+            if (versionToIncrement.startsWith('pre')) {
+                throw new util.InvalidVersionError(`Versions following ${description} have no pre-releases`);
+            }
+            const parts = parse(version);
+            const today = segments.map((segment, i) => calVerSegments[segment].date ? calVerSegments[segment].date(date) : parts[i]);
+            let next;
+            if (today.some((part, i) => part !== parts[i])) {
+                // a new date starts the counters over
+                next = segments.map((segment, i) => calVerSegments[segment].counter ? 0 : today[i]);
+            } else {
+                const counter = counters.find(segment => calVerSegments[segment].counter === versionToIncrement) || counters[counters.length - 1];
+                if (!counter) {
+                    throw new util.InvalidVersionError(`Version ${version} already has the date of the run and ${format} has no MAJOR, MINOR or MICRO to increment`);
+                }
+                const index = segments.indexOf(counter);
+                next = parts.map((part, i) => i === index ? part + 1 : (i > index && calVerSegments[segments[i]].counter ? 0 : part));
+            }
+            return next.map((part, i) => calVerSegments[segments[i]].padded ? String(part).padStart(2, '0') : String(part)).join('.');
+        },
+        compare: (a, b) => compareParts(parse(a), parse(b)),
+        isPreRelease: () => false,
+        getMajor: version => version.split('.')[0],
+    };
+};
+
+/**
+ * Compares the numeric parts of two versions, the most significant part first.
+ * @param a The parts of the first version.
+ * @param b The parts of the second version.
+ * @returns {number} Negative if a is lower than b, positive if a is higher than b, otherwise 0.
+ */
+const compareParts = (a, b) => {
+    for (let i = 0; i < a.length; i++) {
+        if (a[i] !== b[i]) {
+            return a[i] > b[i] ? 1 : -1;
+        }
+    }
+    return 0;
+};
+
+/**
+ * Creates the version scheme.
+ * @param name Either semver, four-part or a CalVer format (e.g. YYYY.MM.MICRO). Defaults to semver.
+ * @param date The date of the run, used by CalVer. Defaults to now.
+ * @returns {*} The version scheme.
+ */
+const createScheme = (name, date) => {
+    if (!name || name === 'semver') {
+        return util.semver;
+    }
+    if (name === 'four-part') {
+        return fourPart;
+    }
+    if (name.split('.').some(segment => calVerSegments[segment] && calVerSegments[segment].date)) {
+        return createCalVer(name, date);
+    }
+    throw new Error(`Unsupported version scheme: ${name}`);
+};
+
+module.exports = {
+    createScheme,
+    createCalVer,
+    fourPart,
+};
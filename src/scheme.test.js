@@ -0,0 +1,122 @@
+const util = require('./util');
+const {createScheme, createCalVer, fourPart} = require('./scheme');
+
+describe('create version scheme', () => {
+    it('should default to semantic versioning', () => {
+        expect(createScheme('')).toBe(util.semver);
+        expect(createScheme('semver')).toBe(util.semver);
+    });
+
+    it('should create the four-part scheme', () => {
+        expect(createScheme('four-part')).toBe(fourPart);
+    });
+
+    it('should create a CalVer scheme', () => {
+        const scheme = createScheme('YYYY.MM.MICRO', new Date('2024-10-19T12:00:00Z'));
+        expect(scheme.description).toBe('calendar versioning of YYYY.MM.MICRO');
+        expect(scheme.increment('2024.9.3', 'patch')).toBe('2024.10.0');
+    });
+
+    it('should throw error when the scheme is not supported', () => {
+        expect(() => createScheme('calver')).toThrowError('Unsupported version scheme: calver');
+        expect(() => createScheme('YYYY.MONTH')).toThrowError('Unsupported CalVer format: YYYY.MONTH');
+    });
+});
+
+describe('CalVer', () => {
+    const date = new Date('2024-10-19T12:00:00Z');
+
+    it('should validate the format', () => {
+        const scheme = createCalVer('YY.0M.DD', date);
+        expect(scheme.isValid('24.10.19')).toBe(true);
+        expect(scheme.isValid('24.01.5')).toBe(true);
+        expect(scheme.isValid('24.1.5')).toBe(false);
+        expect(scheme.isValid('2024.10.19')).toBe(false);
+        expect(scheme.isValid('24.10.19.1')).toBe(false);
+    });
+
+    it('should start the counters over on a new date', () => {
+        const scheme = createCalVer('YYYY.MM.MICRO', date);
+        expect(scheme.increment('2024.9.7', 'patch')).toBe('2024.10.0');
+        expect(createCalVer('YYYY.MINOR.MICRO', date).increment('2023.4.2', 'minor')).toBe('2024.0.0');
+    });
+
+    it('should increment the counter when the date has not changed', () => {
+        const scheme = createCalVer('YYYY.MINOR.MICRO', date);
+        expect(scheme.increment('2024.1.2', 'patch')).toBe('2024.1.3');
+        expect(scheme.increment('2024.1.2', 'minor')).toBe('2024.2.0');
+        // without a MAJOR, the last counter is incremented
+        expect(scheme.increment('2024.1.2', 'major')).toBe('2024.1.3');
+    });
+
+    it('should pad the date', () => {
+        const scheme = createCalVer('YY.0M.DD', new Date('2025-03-04T00:00:00Z'));
+        expect(scheme.increment('24.10.19', 'patch')).toBe('25.03.4');
+        expect(createCalVer('0Y.0M.0D', new Date('2005-03-04T00:00:00Z')).increment('04.12.31', 'patch')).toBe('05.03.04');
+    });
+
+    it('should throw error when there is no counter to increment on the same date', () => {
+        const scheme = createCalVer('YY.0M.DD', date);
+        expect(() => scheme.increment('24.10.19', 'patch'))
+            .toThrowError(new util.InvalidVersionError('Version 24.10.19 already has the date of the run and YY.0M.DD has no MAJOR, MINOR or MICRO to increment'));
+    });
+
+    it('should throw error for pre-releases', () => {
+        expect(() => createCalVer('YYYY.MM.MICRO', date).increment('2024.10.0', 'prerelease'))
+            .toThrowError(new util.InvalidVersionError('Versions following calendar versioning of YYYY.MM.MICRO have no pre-releases'));
+    });
+
+    it('should compare the versions', () => {
+        const scheme = createCalVer('YYYY.MM.MICRO', date);
+        expect(scheme.compare('2024.10.0', '2024.9.12')).toBe(1);
+        expect(scheme.compare('2024.10.0', '2024.10.1')).toBe(-1);
+        expect(scheme.compare('2024.10.1', '2024.10.1')).toBe(0);
+        expect(() => scheme.compare('1.2.3', '2024.10.1')).toThrowError('Version does not follow calendar versioning of YYYY.MM.MICRO: 1.2.3');
+    });
+
+    it('should get the next version', () => {
+        const scheme = createCalVer('YYYY.MM.MICRO', date);
+        expect(util.getNextVersion('2024.9.3', '2024.9.3', 'patch', undefined, undefined, scheme)).toBe('2024.10.0');
+        expect(util.getNextVersion('2024.10.0', '2024.10.0', 'patch', undefined, undefined, scheme)).toBe('2024.10.1');
+        expect(() => util.getNextVersion('2024.10.0', '2024.10.1', 'patch', undefined, undefined, scheme))
+            .toThrowError(new util.VersionAlreadyIncrementedError('Version has already been incremented.'));
+        expect(() => util.getNextVersion('1.2.3', '2024.10.1', 'patch', undefined, undefined, scheme))
+            .toThrowError(new util.InvalidVersionError('Main version does not follow calendar versioning of YYYY.MM.MICRO'));
+    });
+
+    it('should bump past taken versions', () => {
+        const scheme = createCalVer('YYYY.MM.MICRO', date);
+        expect(util.getNextVersion('2024.10.0', '2024.10.0', 'patch', undefined, {taken: ['2024.10.1'], bump: true}, scheme)).toBe('2024.10.2');
+    });
+});
+
+describe('four-part', () => {
+    it('should validate the version', () => {
+        expect(fourPart.isValid('1.2.3.4')).toBe(true);
+        expect(fourPart.isValid('1.2.3')).toBe(false);
+        expect(fourPart.isValid('1.2.3.4-rc.0')).toBe(false);
+    });
+
+    it('should increment the version', () => {
+        expect(fourPart.increment('1.2.3.4', 'major')).toBe('2.0.0.0');
+        expect(fourPart.increment('1.2.3.4', 'minor')).toBe('1.3.0.0');
+        expect(fourPart.increment('1.2.3.4', 'patch')).toBe('1.2.4.0');
+        expect(fourPart.increment('1.2.3.4', 'prerelease')).toBe('1.2.3.5');
+        expect(() => fourPart.increment('1.2.3.4', 'premajor'))
+            .toThrowError(new util.InvalidVersionError('Four-part versions have no pre-releases, use prerelease to increment the build'));
+    });
+
+    it('should compare the versions', () => {
+        expect(fourPart.compare('1.2.3.10', '1.2.3.9')).toBe(1);
+        expect(fourPart.compare('1.2.3.4', '1.3.0.0')).toBe(-1);
+        expect(fourPart.compare('1.2.3.4', '1.2.3.4')).toBe(0);
+    });
+
+    it('should get the next version', () => {
+        expect(util.getNextVersion('1.2.3.4', '1.2.3.4', 'minor', undefined, undefined, fourPart)).toBe('1.3.0.0');
+        // a label change increments from main again
+        expect(util.getNextVersion('1.2.3.4', '1.2.4.0', 'minor', undefined, undefined, fourPart)).toBe('1.3.0.0');
+        expect(util.isMainVersionAhead('1.2.4.0', '1.2.3.9', fourPart)).toBe(true);
+        expect(util.getHighestVersion(['1.2.3.9', '1.2.3.10'], fourPart)).toBe('1.2.3.10');
+    });
+});
@@ -0,0 +1,49 @@
+const http = require('http');
+
+/**
+ * Serves canned JSON responses to the API clients under test. The server listens for the tests of the enclosing describe
+ * block, and the routes and the recorded requests are cleared before each test.
+ * @param notFound The body of the response to a request without a route.
+ * @returns {{routes: Object, requests: Object[], url: function(): string}} The responses keyed by method and URL (e.g.
+ * 'GET /api/v1/repos/org/app'), the requests received so far and a function returning the base URL of the server.
+ */
+const useMockServer = (notFound) => {
+    let server;
+    // Node 16 has no closeAllConnections, so the keep-alive sockets are tracked to close them
+    const sockets = new Set();
+    const routes = {};
+    const requests = [];
+
+    beforeAll(async () => {
+        server = http.createServer((req, res) => {
+            let body = '';
+            req.on('data', chunk => body += chunk);
+            req.on('end', () => {
+                requests.push({method: req.method, url: req.url, headers: req.headers, body: body ? JSON.parse(body) : undefined});
+                const route = routes[`${req.method} ${req.url}`];
+                res.statusCode = route ? route.status || 200 : 404;
+                res.setHeader('content-type', 'application/json');
+                res.end(JSON.stringify(route ? route.body : notFound));
+            });
+        });
+        server.on('connection', socket => {
+            sockets.add(socket);
+            socket.on('close', () => sockets.delete(socket));
+        });
+        await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    });
+
+    afterAll(async () => {
+        sockets.forEach(socket => socket.destroy());
+        await new Promise(resolve => server.close(resolve));
+    });
+
+    beforeEach(() => {
+        Object.keys(routes).forEach(route => delete routes[route]);
+        requests.length = 0;
+    });
+
+    return {routes, requests, url: () => `http://127.0.0.1:${server.address().port}`};
+};
+
+module.exports = {useMockServer};
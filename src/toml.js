@@ -0,0 +1,39 @@
+/**
+ * Finds the string value of a key within a table. Only the location of the value is tracked so the document can be
+ * rewritten without changing its formatting or comments.
+ * @param content The TOML document.
+ * @param table The dotted name of the table (e.g. workspace.package). An empty string is the root table.
+ * @param key The key within the table.
+ * @returns {{value: string, start: number, end: number}|undefined} The value and where it is located or undefined if it does not exist.
+ */
+const findValue = (content, table, key) => {
+    let currentTable = '';
+    let offset = 0;
+    for (const line of content.split('\n')) {
+        const header = line.match(/^\s*\[\[?\s*([^\]]+?)\s*]]?\s*(?:#.*)?$/);
+        if (header) {
+            currentTable = normalizeKey(header[1]);
+        } else if (currentTable === table) {
+            const entry = line.match(/^(\s*)("[^"]*"|'[^']*'|[A-Za-z0-9_-]+)\s*=\s*(["'])(.*?)\3/);
+            if (entry && normalizeKey(entry[2]) === key) {
+                const start = offset + entry[0].length - entry[4].length - 1;
+                return {value: entry[4], start, end: start + entry[4].length};
+            }
+        }
+        offset += line.length + 1;
+    }
+    return undefined;
+};
+
+/**
+ * Removes the quotes and whitespace from a dotted key.
+ * @param key The key.
+ * @returns {string} The normalized key.
+ */
+const normalizeKey = (key) => {
+    return key.split('.').map(part => part.trim().replace(/^(["'])(.*)\1$/, '$2')).join('.');
+};
+
+module.exports = {
+    findValue,
+};
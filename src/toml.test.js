@@ -0,0 +1,38 @@
+const toml = require('./toml');
+
+const catalog = `# the versions of the project
+[versions]
+kotlin = "1.9.0"
+"project" = '1.2.3' # the version of the project
+
+[libraries]
+version = { module = "org:lib", version = "4.5.6" }
+
+[[bin]]
+version = "7.8.9"
+`;
+
+describe('find value', () => {
+    it('should find the value of a key in a table', () => {
+        const value = toml.findValue(catalog, 'versions', 'project');
+        expect(value.value).toBe('1.2.3');
+        expect(catalog.slice(value.start, value.end)).toBe('1.2.3');
+    });
+
+    it('should find the value of a key in an array table', () => {
+        expect(toml.findValue(catalog, 'bin', 'version').value).toBe('7.8.9');
+    });
+
+    it('should find the value of a key in the root table', () => {
+        expect(toml.findValue('version = "1.0.0"\n[package]\nversion = "2.0.0"', '', 'version').value).toBe('1.0.0');
+    });
+
+    it('should find the value of a key in a dotted table', () => {
+        expect(toml.findValue('[workspace . "package"]\nversion = "2.0.0"', 'workspace.package', 'version').value).toBe('2.0.0');
+    });
+
+    it('should be undefined when the key is not a string in the table', () => {
+        expect(toml.findValue(catalog, 'libraries', 'version')).toBeUndefined();
+        expect(toml.findValue(catalog, 'versions', 'java')).toBeUndefined();
+    });
+});
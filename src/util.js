@@ -1,69 +1,242 @@
+const fs = require('fs');
+const YAML = require('yaml');
+
+const semverRegex = /^(0|[1-9]\d*)\.(0|[1-9]\d*)\.(0|[1-9]\d*)(?:-((?:0|[1-9]\d*|\d*[a-zA-Z-][0-9a-zA-Z-]*)(?:\.(?:0|[1-9]\d*|\d*[a-zA-Z-][0-9a-zA-Z-]*))*))?(?:\+([0-9a-zA-Z-]+(?:\.[0-9a-zA-Z-]+)*))?$/;
+
+const labelIncrements = {
+    'version:major': 'major',
+    'version:minor': 'minor',
+    'version:patch': 'patch',
+    'version:premajor': 'premajor',
+    'version:preminor': 'preminor',
+    'version:prerelease': 'prerelease',
+};
+// when conflicting labels are present, the label with the highest precedence wins. Skipping always wins.
+const labelPrecedence = ['prerelease', 'patch', 'preminor', 'minor', 'premajor', 'major', 'none'];
+
+const conventionalCommitRegex = /^(\w+)(?:\([^)]*\))?(!)?: \S/;
+const breakingChangeRegex = /^BREAKING[ -]CHANGE: /m;
+const commitIncrements = ['patch', 'minor', 'major'];
+
+/**
+ * Gets the version to increment based on the labels on the PR. When a package name is provided, labels scoped to the
+ * package (e.g. version:minor:api) take precedence over the labels that apply to every package.
+ * @param labels The labels on the PR.
+ * @param packageName The name of the package to get the version to increment for.
+ * @param defaultVersionToIncrement The version to increment when no label is present.
+ * @param labelMapping The mapping of the labels to the version to increment. Defaults to the version:* labels.
+ * @returns {string} The version to increment. none when the version should not be incremented.
+ */
+const getVersionToIncrement = (labels, packageName, defaultVersionToIncrement = 'patch', labelMapping = labelIncrements) => {
+    const label = findIncrementLabel(labels, packageName, labelMapping);
+    return label ? label.versionToIncrement : defaultVersionToIncrement;
+};
+
 /**
- * Gets the version to increment based on the labels on the PR.
+ * Gets the name of the label that determines the version to increment.
  * @param labels The labels on the PR.
- * @returns {string} The version to increment.
- */
-const getVersionToIncrement = (labels) => {
-    let versionToIncrement = 'patch';
-    for (const label of labels) {
-        if (label.name === 'version:major') {
-            versionToIncrement = 'major';
-        } else if (label.name === 'version:minor') {
-            versionToIncrement = 'minor';
+ * @param packageName The name of the package to get the label for.
+ * @param labelMapping The mapping of the labels to the version to increment. Defaults to the version:* labels.
+ * @returns {string|undefined} The name of the label or undefined if no label determines the version to increment.
+ */
+const getIncrementLabel = (labels, packageName, labelMapping = labelIncrements) => {
+    const label = findIncrementLabel(labels, packageName, labelMapping);
+    return label ? label.name : undefined;
+};
+
+/**
+ * Finds the label that determines the version to increment.
+ * @param labels The labels on the PR.
+ * @param packageName The name of the package to find the label for.
+ * @param labelMapping The mapping of the labels to the version to increment.
+ * @returns {{name: string, versionToIncrement: string}|undefined} The label or undefined if no label determines the version to increment.
+ */
+const findIncrementLabel = (labels, packageName, labelMapping) => {
+    let label;
+    let packageLabel;
+    for (const {name} of labels) {
+        let versionToIncrement = getMappedIncrement(labelMapping, name);
+        if (versionToIncrement) {
+            label = higherPrecedence(label, {name, versionToIncrement});
+        } else if (packageName && name.endsWith(`:${packageName}`)) {
+            versionToIncrement = getMappedIncrement(labelMapping, name.slice(0, -packageName.length - 1));
+            if (versionToIncrement) {
+                packageLabel = higherPrecedence(packageLabel, {name, versionToIncrement});
+            }
+        }
+    }
+    return packageLabel || label;
+};
+
+/**
+ * Gets the version to increment a label is mapped to.
+ * @param labelMapping The mapping of the labels to the version to increment.
+ * @param name The name of the label.
+ * @returns {string|undefined} The version to increment or undefined if the label is not mapped.
+ */
+const getMappedIncrement = (labelMapping, name) => {
+    return Object.prototype.hasOwnProperty.call(labelMapping, name) ? labelMapping[name] : undefined;
+};
+
+/**
+ * Gets the label with the higher precedence.
+ * @param current The current label. May be undefined.
+ * @param candidate The other label.
+ * @returns {{name: string, versionToIncrement: string}} The label with the higher precedence. The current label wins a tie.
+ */
+const higherPrecedence = (current, candidate) => {
+    if (current && labelPrecedence.indexOf(current.versionToIncrement) >= labelPrecedence.indexOf(candidate.versionToIncrement)) {
+        return current;
+    }
+    return candidate;
+};
+
+/**
+ * Gets the version to increment based on Conventional Commit messages. The highest increment of all the messages wins.
+ * @param messages The commit messages.
+ * @returns {string|undefined} The version to increment or undefined when no message is a release-worthy commit.
+ */
+const getVersionToIncrementFromCommits = (messages) => {
+    let versionToIncrement;
+    for (const message of messages) {
+        const increment = getCommitIncrement(message);
+        if (commitIncrements.indexOf(increment) > commitIncrements.indexOf(versionToIncrement)) {
+            versionToIncrement = increment;
         }
     }
     return versionToIncrement;
 };
 
+/**
+ * Gets the version to increment of a single Conventional Commit message.
+ * @param message The commit message.
+ * @returns {string|undefined} The version to increment or undefined when the commit does not affect the version.
+ */
+const getCommitIncrement = (message) => {
+    const matches = message.match(conventionalCommitRegex);
+    if (!matches) {
+        return undefined;
+    }
+    if (matches[2] || breakingChangeRegex.test(message)) {
+        return 'major';
+    }
+    switch (matches[1].toLowerCase()) {
+        case 'feat':
+            return 'minor';
+        case 'fix':
+            return 'patch';
+        default:
+            return undefined;
+    }
+};
+
+/**
+ * Gets the package directories. A pattern ending with /* matches every directory within it.
+ * @param patterns The package directories or patterns.
+ * @param files Optional. The paths of the files to match the patterns against instead of the directories on disk.
+ * @returns {string[]} The package directories.
+ */
+const getPackageDirectories = (patterns, files) => {
+    const directories = [];
+    for (let pattern of patterns) {
+        pattern = pattern.trim().replace(/\/+$/, '');
+        if (!pattern) {
+            continue;
+        }
+        if (pattern.endsWith('/*')) {
+            const parent = pattern.slice(0, -2);
+            if (files) {
+                const matched = files
+                    .filter(file => file.startsWith(`${parent}/`) && file.indexOf('/', parent.length + 1) !== -1)
+                    .map(file => file.slice(0, file.indexOf('/', parent.length + 1)));
+                directories.push(...[...new Set(matched)].sort());
+                continue;
+            }
+            const entries = fs.readdirSync(parent, {withFileTypes: true})
+                .filter(entry => entry.isDirectory())
+                .map(entry => `${parent}/${entry.name}`)
+                .sort();
+            directories.push(...entries);
+        } else {
+            directories.push(pattern);
+        }
+    }
+    return directories;
+};
+
+/**
+ * Gets the package directories that contain at least one of the changed files.
+ * @param directories The package directories.
+ * @param changedFiles The paths of the files changed by the PR.
+ * @returns {string[]} The changed package directories.
+ */
+const getChangedPackages = (directories, changedFiles) => {
+    return directories.filter(directory => changedFiles.some(file => file.startsWith(`${directory}/`)));
+};
+
 /**
  * Increments the version.
  * @param mainVersion The version on the main branch.
  * @param currentVersion The current version.
  * @param versionToIncrement The version to increment.
- * @returns {`${number}.${number}.${number}`} The next version.
+ * @param preReleaseId The identifier to use for pre-release versions (e.g. rc).
+ * @param collisions Optional. The versions that have already been taken (e.g. by tags or other PRs).
+ * @param collisions.taken The taken versions.
+ * @param collisions.bump Whether to bump past a taken version instead of throwing an error.
+ * @param scheme The version scheme. Defaults to semantic versioning.
+ * @returns {string} The next version.
  */
-const getNextVersion = (mainVersion, currentVersion, versionToIncrement) => {
-    if (mainVersion.split('.').length !== 3) {
-        throw new InvalidVersionError(`Main version does not follow semantic versioning of major.minor.patch`);
+const getNextVersion = (mainVersion, currentVersion, versionToIncrement, preReleaseId, collisions = {taken: []}, scheme = semver) => {
+    if (!scheme.isValid(mainVersion)) {
+        throw new InvalidVersionError(`Main version does not follow ${scheme.description}`);
     }
-    if (currentVersion.split('.').length !== 3) {
-        throw new InvalidVersionError(`Version does not follow semantic versioning of major.minor.patch`);
+    if (!scheme.isValid(currentVersion)) {
+        throw new InvalidVersionError(`Version does not follow ${scheme.description}`);
     }
-    if (mainVersion !== currentVersion) {
-        // is the main version "ahead" of the current version? Or has the current version been incremented correctly (label change)?
-        if (isMainVersionAhead(mainVersion, currentVersion) || !isVersionBumpedCorrectly(mainVersion, currentVersion, versionToIncrement)) {
-            currentVersion = mainVersion;
-        } else {
-            // nope, the version already has been incremented
-            throw new VersionAlreadyIncrementedError(`Version has already been incremented.`);
+    let nextVersion = currentVersion;
+    // is the main version "ahead" of the current version? Or has the current version been incremented correctly (label change)?
+    if (mainVersion === currentVersion || isMainVersionAhead(mainVersion, currentVersion, scheme) || !isVersionBumpedCorrectly(mainVersion, currentVersion, versionToIncrement, preReleaseId, scheme)) {
+        nextVersion = scheme.increment(mainVersion, versionToIncrement, preReleaseId);
+    }
+    nextVersion = avoidCollisions(nextVersion, versionToIncrement, preReleaseId, collisions, scheme);
+    if (nextVersion === currentVersion) {
+        // nope, the version already has been incremented
+        throw new VersionAlreadyIncrementedError(`Version has already been incremented.`);
+    }
+    return nextVersion;
+};
+
+/**
+ * Makes sure the version has not already been taken.
+ * @param version The version.
+ * @param versionToIncrement The version to increment.
+ * @param preReleaseId The identifier to use for pre-release versions (e.g. rc).
+ * @param collisions The versions that have already been taken and whether to bump past them.
+ * @param scheme The version scheme.
+ * @returns {string} The version or the next version that has not been taken when bumping past taken versions.
+ */
+const avoidCollisions = (version, versionToIncrement, preReleaseId, collisions, scheme) => {
+    // a pre-release is bumped past with the next pre-release rather than the next minor or major
+    const bumpBy = versionToIncrement.startsWith('pre') ? 'prerelease' : versionToIncrement;
+    let nextVersion = version;
+    while (collisions.taken.includes(nextVersion)) {
+        if (!collisions.bump) {
+            throw new VersionCollisionError(`Version ${nextVersion} has already been taken by a tag or another pull request.`);
         }
+        nextVersion = scheme.increment(nextVersion, bumpBy, preReleaseId);
     }
-    return incrementVersion(currentVersion, versionToIncrement);
+    return nextVersion;
 };
 
 /**
  * Determines if the main version is the same as the current version.
  * @param mainVersion The main version.
  * @param branchVersion The current version.
+ * @param scheme The version scheme. Defaults to semantic versioning.
  * @returns {boolean} True if the main version is the ahead of the current version.
  */
-const isMainVersionAhead = (mainVersion, branchVersion) => {
-    const mainVersionParts = mainVersion.split('.');
-    const branchVersionParts = branchVersion.split('.');
-    const mainMajor = parseInt(mainVersionParts[0]);
-    const mainMinor = parseInt(mainVersionParts[1]);
-    const mainPatch = parseInt(mainVersionParts[2]);
-    const branchMajor = parseInt(branchVersionParts[0]);
-    const branchMinor = parseInt(branchVersionParts[1]);
-    const branchPatch = parseInt(branchVersionParts[2]);
-    if (mainMajor > branchMajor) {
-        return true;
-    } else if (mainMajor === branchMajor && mainMinor > branchMinor) {
-        return true;
-    } else if (mainMajor === branchMajor && mainMinor === branchMinor && mainPatch > branchPatch) {
-        return true;
-    }
-    return false;
+const isMainVersionAhead = (mainVersion, branchVersion, scheme = semver) => {
+    return scheme.compare(mainVersion, branchVersion) > 0;
 };
 
 /**
@@ -71,65 +244,314 @@ const isMainVersionAhead = (mainVersion, branchVersion) => {
  * @param mainVersion The main version.
  * @param branchVersion The current version.
  * @param versionToIncrement The version to increment.
+ * @param preReleaseId The identifier to use for pre-release versions.
+ * @param scheme The version scheme. Defaults to semantic versioning.
+ * @returns {boolean} True if the branch version is what incrementing the main version would produce.
  */
-const isVersionBumpedCorrectly = (mainVersion, branchVersion, versionToIncrement) => {
-    const mainVersionParts = mainVersion.split('.');
-    const branchVersionParts = branchVersion.split('.');
-    const mainMajor = parseInt(mainVersionParts[0]);
-    const mainMinor = parseInt(mainVersionParts[1]);
-    const mainPatch = parseInt(mainVersionParts[2]);
-    const branchMajor = parseInt(branchVersionParts[0]);
-    const branchMinor = parseInt(branchVersionParts[1]);
-    const branchPatch = parseInt(branchVersionParts[2]);
-    if (versionToIncrement === 'major' && branchMajor - mainMajor !== 1) {
-        return false;
-    } else if (versionToIncrement === 'minor' && branchMinor - mainMinor !== 1) {
-        return false;
-    } else if (versionToIncrement === 'patch' && branchPatch - mainPatch !== 1) {
-        return false;
-    }
-    return true;
+const isVersionBumpedCorrectly = (mainVersion, branchVersion, versionToIncrement, preReleaseId, scheme = semver) => {
+    return scheme.compare(scheme.increment(mainVersion, versionToIncrement, preReleaseId), branchVersion) === 0;
 };
 
 /**
  * Increments the version.
  * @param currentVersion The current version.
  * @param versionToIncrement The version increment.
- * @returns {`${number}.${number}.${number}`} The next version.
+ * @param preReleaseId The identifier to use for pre-release versions.
+ * @returns {string} The next version.
  */
-const incrementVersion = (currentVersion, versionToIncrement) => {
-    const version = currentVersion.split('.');
-    if (version.length !== 3) {
-        throw new InvalidVersionError(`Version does not follow semantic versioning of major.minor.patch: ${currentVersion}`);
-    }
-    let major = parseInt(version[0]);
-    let minor = parseInt(version[1]);
-    let patch = parseInt(version[2]);
+const incrementVersion = (currentVersion, versionToIncrement, preReleaseId) => {
+    const version = parseVersion(currentVersion);
+    const isPreRelease = version.prerelease.length > 0;
     switch (versionToIncrement) {
         case 'major':
-            major++;
-            minor = 0;
-            patch = 0;
+            // a pre-release of a major version (e.g. 2.0.0-rc.1) is released as is
+            if (!isPreRelease || version.minor !== 0 || version.patch !== 0) {
+                version.major++;
+            }
+            version.minor = 0;
+            version.patch = 0;
+            version.prerelease = [];
             break;
         case 'minor':
-            minor++;
-            patch = 0;
+            if (!isPreRelease || version.patch !== 0) {
+                version.minor++;
+            }
+            version.patch = 0;
+            version.prerelease = [];
+            break;
+        case 'premajor':
+            version.major++;
+            version.minor = 0;
+            version.patch = 0;
+            version.prerelease = newPreRelease(preReleaseId);
+            break;
+        case 'preminor':
+            version.minor++;
+            version.patch = 0;
+            version.prerelease = newPreRelease(preReleaseId);
+            break;
+        case 'prerelease':
+            version.prerelease = nextPreRelease(version, preReleaseId);
             break;
         case 'patch':
         default:
-            patch++;
+            if (!isPreRelease) {
+                version.patch++;
+            }
+            version.prerelease = [];
             break;
     }
-    return `${major}.${minor}.${patch}`;
+    // build metadata does not carry over to the next version
+    version.build = [];
+    return formatVersion(version);
 };
 
 /**
- * Gets the extension of the file.
- * @param path The path to the file.
- * @returns {string} The extension of the file.
+ * Creates the first pre-release identifiers for a new version.
+ * @param preReleaseId The identifier to use for pre-release versions.
+ * @returns {Array<string|number>} The pre-release identifiers.
+ */
+const newPreRelease = (preReleaseId) => {
+    return preReleaseId ? [preReleaseId, 0] : [0];
+};
+
+/**
+ * Determines the next pre-release identifiers of the version. Bumps the patch when the version is not a pre-release.
+ * @param version The parsed version. The patch is modified in place when needed.
+ * @param preReleaseId The identifier to use for pre-release versions.
+ * @returns {Array<string|number>} The pre-release identifiers.
+ */
+const nextPreRelease = (version, preReleaseId) => {
+    if (version.prerelease.length === 0) {
+        version.patch++;
+        return newPreRelease(preReleaseId);
+    }
+    if (preReleaseId && version.prerelease[0] !== preReleaseId) {
+        return newPreRelease(preReleaseId);
+    }
+    const prerelease = [...version.prerelease];
+    const last = prerelease.length - 1;
+    if (typeof prerelease[last] === 'number') {
+        prerelease[last]++;
+    } else {
+        prerelease.push(0);
+    }
+    return prerelease;
+};
+
+/**
+ * Determines if the version follows semantic versioning.
+ * @param version The version.
+ * @returns {boolean} True if the version is valid.
+ */
+const isValidVersion = (version) => {
+    return typeof version === 'string' && semverRegex.test(version);
+};
+
+/**
+ * Parses a semantic version.
+ * @param version The version to parse.
+ * @returns {{major: number, minor: number, patch: number, prerelease: Array<string|number>, build: string[]}} The parsed version.
+ */
+const parseVersion = (version) => {
+    const matches = typeof version === 'string' ? version.match(semverRegex) : null;
+    if (!matches) {
+        throw new InvalidVersionError(`Version does not follow semantic versioning of major.minor.patch: ${version}`);
+    }
+    return {
+        major: parseInt(matches[1]),
+        minor: parseInt(matches[2]),
+        patch: parseInt(matches[3]),
+        prerelease: matches[4] ? matches[4].split('.').map(id => /^\d+$/.test(id) ? parseInt(id) : id) : [],
+        build: matches[5] ? matches[5].split('.') : [],
+    };
+};
+
+/**
+ * Formats a parsed version back into a string.
+ * @param version The parsed version.
+ * @returns {string} The version.
+ */
+const formatVersion = (version) => {
+    let formatted = `${version.major}.${version.minor}.${version.patch}`;
+    if (version.prerelease.length > 0) {
+        formatted += `-${version.prerelease.join('.')}`;
+    }
+    if (version.build.length > 0) {
+        formatted += `+${version.build.join('.')}`;
+    }
+    return formatted;
+};
+
+/**
+ * Compares two versions by semantic versioning precedence. Build metadata is ignored.
+ * @param a The first version.
+ * @param b The second version.
+ * @returns {number} Negative if a is lower than b, positive if a is higher than b, otherwise 0.
+ */
+const compareVersions = (a, b) => {
+    const versionA = parseVersion(a);
+    const versionB = parseVersion(b);
+    for (const part of ['major', 'minor', 'patch']) {
+        if (versionA[part] !== versionB[part]) {
+            return versionA[part] > versionB[part] ? 1 : -1;
+        }
+    }
+    // a version without a pre-release has a higher precedence than one with a pre-release
+    if (versionA.prerelease.length === 0 || versionB.prerelease.length === 0) {
+        return Math.sign(versionB.prerelease.length - versionA.prerelease.length);
+    }
+    for (let i = 0; i < Math.max(versionA.prerelease.length, versionB.prerelease.length); i++) {
+        const idA = versionA.prerelease[i];
+        const idB = versionB.prerelease[i];
+        if (idA === undefined || idB === undefined) {
+            // a larger set of identifiers has a higher precedence
+            return idA === undefined ? -1 : 1;
+        }
+        if (idA === idB) {
+            continue;
+        }
+        // numeric identifiers always have lower precedence than alphanumeric identifiers
+        if (typeof idA !== typeof idB) {
+            return typeof idA === 'number' ? -1 : 1;
+        }
+        return idA > idB ? 1 : -1;
+    }
+    return 0;
+};
+
+/**
+ * Gets the version with the highest precedence.
+ * @param versions The versions.
+ * @param scheme The version scheme. Defaults to semantic versioning.
+ * @returns {string|undefined} The highest version or undefined if there are no versions.
+ */
+const getHighestVersion = (versions, scheme = semver) => {
+    return versions.reduce((highest, version) => highest === undefined || scheme.compare(version, highest) > 0 ? version : highest, undefined);
+};
+
+/**
+ * Semantic versioning of major.minor.patch with pre-releases. The default version scheme, see scheme.js for the others.
+ */
+const semver = {
+    description: 'semantic versioning of major.minor.patch',
+    isValid: isValidVersion,
+    increment: incrementVersion,
+    compare: compareVersions,
+    isPreRelease: version => parseVersion(version).prerelease.length > 0,
+    getMajor: version => parseVersion(version).major,
+};
+
+/**
+ * Parses the user-defined patterns. The patterns are a YAML mapping of a filename or glob to a regex that captures the
+ * version in its first group or in a group named version.
+ * @param input The YAML mapping.
+ * @returns {{pattern: string, regex: RegExp}[]} The patterns.
  */
-const getFileExtension = (path) => {
-    return path.split('.').pop();
+const parseCustomPatterns = (input) => {
+    if (!input || !input.trim()) {
+        return [];
+    }
+    const mapping = YAML.parse(input);
+    if (!mapping || typeof mapping !== 'object' || Array.isArray(mapping)) {
+        throw new Error('Custom patterns must be a mapping of a filename or glob to a regex');
+    }
+    return Object.entries(mapping).map(([pattern, source]) => {
+        if (typeof source !== 'string') {
+            throw new Error(`Custom pattern for ${pattern} must be a regex`);
+        }
+        const regex = new RegExp(source, 'md');
+        // matching an empty alternative reveals how many groups the regex has
+        if (new RegExp(`${source}|`).exec('').length < 2) {
+            throw new Error(`Custom pattern for ${pattern} must have a group capturing the version`);
+        }
+        return {pattern, regex};
+    });
+};
+
+/**
+ * Parses the user-defined label mapping. The mapping is a YAML mapping of a label to the version to increment, one of
+ * major, minor, patch, premajor, preminor, prerelease or none to not increment the version.
+ * @param input The YAML mapping.
+ * @returns {Object<string, string>|undefined} The label mapping or undefined if no mapping is defined.
+ */
+const parseLabelMapping = (input) => {
+    if (!input || !input.trim()) {
+        return undefined;
+    }
+    const mapping = YAML.parse(input);
+    if (!mapping || typeof mapping !== 'object' || Array.isArray(mapping)) {
+        throw new Error('Label mapping must be a mapping of a label to the version to increment');
+    }
+    for (const [label, versionToIncrement] of Object.entries(mapping)) {
+        if (!labelPrecedence.includes(versionToIncrement)) {
+            throw new Error(`Label ${label} must be mapped to one of ${labelPrecedence.join(', ')}`);
+        }
+    }
+    return mapping;
+};
+
+/**
+ * Parses the identity of a commit author or committer.
+ * @param input The identity in the format Name <email>.
+ * @returns {{name: string, email: string}|undefined} The identity or undefined if no identity is defined.
+ */
+const parseIdentity = (input) => {
+    if (!input || !input.trim()) {
+        return undefined;
+    }
+    const matches = /^\s*([^<>]*?)\s*<([^<>\s]+)>\s*$/.exec(input);
+    if (!matches || !matches[1]) {
+        throw new Error(`Identity ${input} must be in the format Name <email>`);
+    }
+    return {name: matches[1], email: matches[2]};
+};
+
+/**
+ * Renders the template by replacing each {{placeholder}} with its value. Unknown placeholders are left as is.
+ * @param template The template.
+ * @param values The value of each placeholder.
+ * @returns {string} The rendered template.
+ */
+const renderTemplate = (template, values) => {
+    return template.replace(/{{\s*(\w+)\s*}}/g, (placeholder, name) => {
+        return Object.prototype.hasOwnProperty.call(values, name) && values[name] !== undefined ? String(values[name]) : placeholder;
+    });
+};
+
+/**
+ * Determines if the text is a rendering of the template, with any value for each {{placeholder}}.
+ * @param text The text.
+ * @param template The template.
+ * @returns {boolean} True if the text matches the template.
+ */
+const matchesTemplate = (text, template) => {
+    const pattern = template.split(/{{\s*\w+\s*}}/).map(part => part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')).join('.+?');
+    return new RegExp(`^${pattern}$`).test(text);
+};
+
+/**
+ * Finds the version using a regex. With the d flag, the version is the group named version or else the first group.
+ * Without it, the regex has to end with a group named version.
+ * @param content The content of the file.
+ * @param regex The regex to match the version with.
+ * @returns {{value: string, start: number, end: number}|undefined} The version and where it is located or undefined if there is no match.
+ */
+const findRegexVersion = (content, regex) => {
+    const matches = regex.exec(content);
+    if (!matches) {
+        return undefined;
+    }
+    if (!matches.indices) {
+        const end = matches.index + matches[0].length;
+        return {value: matches.groups.version, start: end - matches.groups.version.length, end};
+    }
+    const indices = matches.groups && matches.groups.version !== undefined ? matches.indices.groups.version : matches.indices[1];
+    if (!indices) {
+        return undefined;
+    }
+    const [start, end] = indices;
+    return {value: content.slice(start, end), start, end};
 };
 
 /**
@@ -150,6 +572,25 @@ const decode = (s) => {
     return Buffer.from(s, 'base64').toString('utf-8');
 };
 
+/**
+ * Get the decoded content of a file from any of the clients (GitHub, GitLab, Gitea or a local git repository).
+ * @param client The client to get the content of the file with.
+ * @param path The path to the file.
+ * @param ref The branch or commit to get the file from.
+ * @returns {Promise<string|undefined>} The content of the file or undefined if it does not exist.
+ */
+const getFileContent = async (client, path, ref) => {
+    try {
+        const content = await client.getContent(path, ref);
+        return decode(content.content);
+    } catch (e) {
+        if (e.status === 404) {
+            return undefined;
+        }
+        throw e;
+    }
+};
+
 /**
  * Thrown when the version in not in the semantic versioning format.
  */
@@ -170,12 +611,39 @@ class VersionAlreadyIncrementedError extends Error {
     }
 }
 
+/**
+ * Thrown when the version has already been taken by a tag or another pull request.
+ */
+class VersionCollisionError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'VersionCollisionError';
+    }
+}
+
 module.exports = {
     getVersionToIncrement,
+    getIncrementLabel,
+    getVersionToIncrementFromCommits,
+    getPackageDirectories,
+    getChangedPackages,
     getNextVersion,
-    getFileExtension,
+    isMainVersionAhead,
+    incrementVersion,
+    parseVersion,
+    compareVersions,
+    getHighestVersion,
+    semver,
+    parseCustomPatterns,
+    parseLabelMapping,
+    parseIdentity,
+    renderTemplate,
+    matchesTemplate,
+    findRegexVersion,
     encode,
     decode,
+    getFileContent,
     InvalidVersionError,
-    VersionAlreadyIncrementedError
+    VersionAlreadyIncrementedError,
+    VersionCollisionError,
 };
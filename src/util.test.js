@@ -1,3 +1,6 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
 const util = require('./util');
 
 describe('determine version to increment', () => {
@@ -16,6 +19,137 @@ describe('determine version to increment', () => {
     it('should default', () => {
         expect(util.getVersionToIncrement([{name: ''}])).toBe('patch');
     });
+
+    it('should be premajor', () => {
+        expect(util.getVersionToIncrement([{name: 'version:premajor'}])).toBe('premajor');
+    });
+
+    it('should be preminor', () => {
+        expect(util.getVersionToIncrement([{name: 'version:preminor'}])).toBe('preminor');
+    });
+
+    it('should be prerelease', () => {
+        expect(util.getVersionToIncrement([{name: 'version:prerelease'}])).toBe('prerelease');
+    });
+
+    it('should use the package label', () => {
+        expect(util.getVersionToIncrement([{name: 'version:minor:api'}], 'api')).toBe('minor');
+    });
+
+    it('should prefer the package label', () => {
+        expect(util.getVersionToIncrement([{name: 'version:minor:api'}, {name: 'version:major'}], 'api')).toBe('minor');
+    });
+
+    it('should get the label that determines the version to increment', () => {
+        expect(util.getIncrementLabel([{name: 'bug'}, {name: 'version:major'}, {name: 'version:minor:api'}], 'api')).toBe('version:minor:api');
+        expect(util.getIncrementLabel([{name: 'version:major'}, {name: 'version:minor:api'}], 'web')).toBe('version:major');
+        expect(util.getIncrementLabel([{name: 'bug'}])).toBeUndefined();
+    });
+
+    it('should ignore labels of other packages', () => {
+        expect(util.getVersionToIncrement([{name: 'version:minor:api'}], 'web')).toBe('patch');
+        expect(util.getVersionToIncrement([{name: 'version:minor:api'}])).toBe('patch');
+    });
+
+    it('should prefer the highest increment regardless of the order of the labels', () => {
+        expect(util.getVersionToIncrement([{name: 'version:major'}, {name: 'version:patch'}])).toBe('major');
+        expect(util.getVersionToIncrement([{name: 'version:patch'}, {name: 'version:major'}])).toBe('major');
+        expect(util.getVersionToIncrement([{name: 'version:minor'}, {name: 'version:premajor'}])).toBe('premajor');
+    });
+
+    it('should use the label mapping', () => {
+        const mapping = {'semver:breaking': 'major', 'semver:feature': 'minor', 'release:skip': 'none'};
+        expect(util.getVersionToIncrement([{name: 'semver:feature'}], undefined, 'patch', mapping)).toBe('minor');
+        expect(util.getVersionToIncrement([{name: 'version:major'}], undefined, 'patch', mapping)).toBe('patch');
+        expect(util.getVersionToIncrement([{name: 'semver:breaking:api'}], 'api', 'patch', mapping)).toBe('major');
+        expect(util.getVersionToIncrement([{name: 'constructor'}], undefined, 'patch', mapping)).toBe('patch');
+        expect(util.getIncrementLabel([{name: 'semver:feature'}], undefined, mapping)).toBe('semver:feature');
+    });
+
+    it('should prefer skipping over any increment', () => {
+        const mapping = {'semver:breaking': 'major', 'release:skip': 'none'};
+        expect(util.getVersionToIncrement([{name: 'semver:breaking'}, {name: 'release:skip'}], undefined, 'patch', mapping)).toBe('none');
+    });
+
+    it('should use the default', () => {
+        expect(util.getVersionToIncrement([{name: 'bug'}], undefined, 'fail')).toBe('fail');
+    });
+});
+
+describe('parse label mapping', () => {
+    it('should parse the mapping', () => {
+        expect(util.parseLabelMapping('semver:breaking: major\nrelease:skip: none\n')).toEqual({'semver:breaking': 'major', 'release:skip': 'none'});
+    });
+
+    it('should not have a mapping when the input is empty', () => {
+        expect(util.parseLabelMapping('')).toBeUndefined();
+    });
+
+    it('should throw error when the mapping is invalid', () => {
+        expect(() => util.parseLabelMapping('- major')).toThrowError('Label mapping must be a mapping of a label to the version to increment');
+        expect(() => util.parseLabelMapping('semver:feature: feature')).toThrowError('Label semver:feature must be mapped to one of prerelease, patch, preminor, minor, premajor, major, none');
+    });
+});
+
+describe('parse identity', () => {
+    it('should parse the name and email', () => {
+        expect(util.parseIdentity('Release Bot <release-bot@example.com>')).toEqual({name: 'Release Bot', email: 'release-bot@example.com'});
+        expect(util.parseIdentity('  bot <bot@example.com> ')).toEqual({name: 'bot', email: 'bot@example.com'});
+    });
+
+    it('should not have an identity when the input is empty', () => {
+        expect(util.parseIdentity('')).toBeUndefined();
+    });
+
+    it('should throw error when the identity is invalid', () => {
+        expect(() => util.parseIdentity('bot@example.com')).toThrowError('Identity bot@example.com must be in the format Name <email>');
+        expect(() => util.parseIdentity('<bot@example.com>')).toThrowError('Identity <bot@example.com> must be in the format Name <email>');
+    });
+});
+
+describe('render template', () => {
+    it('should replace the placeholders', () => {
+        expect(util.renderTemplate('{{name}} {{ previous }} → {{next}}', {name: 'api', previous: '1.0.0', next: '1.1.0'})).toBe('api 1.0.0 → 1.1.0');
+    });
+
+    it('should leave unknown placeholders', () => {
+        expect(util.renderTemplate('{{name}} {{unknown}} {{next}}', {name: 'api'})).toBe('api {{unknown}} {{next}}');
+    });
+});
+
+describe('match template', () => {
+    it('should match any value of the placeholders', () => {
+        expect(util.matchesTemplate('chore(release): api 1.0.0 → 1.1.0', 'chore(release): {{name}} {{previous}} → {{ next }}')).toBe(true);
+        expect(util.matchesTemplate('chore(release): bump deps', 'chore(release): {{name}} {{previous}} → {{next}}')).toBe(false);
+        expect(util.matchesTemplate('Release 1.1.0 [skip ci]', 'Release {{next}} [skip ci]')).toBe(true);
+    });
+});
+
+describe('determine version to increment from commits', () => {
+    it('should be minor for a feature', () => {
+        expect(util.getVersionToIncrementFromCommits(['feat: add login', 'fix(api): handle null'])).toBe('minor');
+    });
+
+    it('should be patch for a fix', () => {
+        expect(util.getVersionToIncrementFromCommits(['fix(api): handle null', 'docs: update readme'])).toBe('patch');
+    });
+
+    it('should be major for a breaking change marker', () => {
+        expect(util.getVersionToIncrementFromCommits(['feat(api)!: remove endpoint', 'fix: typo'])).toBe('major');
+    });
+
+    it('should be major for a breaking change footer', () => {
+        expect(util.getVersionToIncrementFromCommits(['fix: typo', 'refactor: rename\n\nBREAKING CHANGE: config moved'])).toBe('major');
+    });
+
+    it('should be undefined when no commit affects the version', () => {
+        expect(util.getVersionToIncrementFromCommits(['docs: update readme', 'Merge branch main', 'feature: not conventional'])).toBeUndefined();
+    });
+
+    it('should be overridden by labels', () => {
+        expect(util.getVersionToIncrement([{name: 'version:patch'}], undefined, 'major')).toBe('patch');
+        expect(util.getVersionToIncrement([], undefined, 'major')).toBe('major');
+    });
 });
 
 describe('get next version', () => {
@@ -69,19 +203,199 @@ describe('get next version', () => {
     it('should increment patch after patch has been incremented with major', () => {
         expect(util.getNextVersion('0.0.0', '1.0.0', 'patch')).toBe('0.0.1');
     });
+
+    it('should increment premajor', () => {
+        expect(util.getNextVersion('1.4.2', '1.4.2', 'premajor', 'rc')).toBe('2.0.0-rc.0');
+    });
+
+    it('should increment preminor', () => {
+        expect(util.getNextVersion('1.4.2', '1.4.2', 'preminor', 'rc')).toBe('1.5.0-rc.0');
+    });
+
+    it('should increment prerelease', () => {
+        expect(util.getNextVersion('2.0.0-rc.0', '2.0.0-rc.0', 'prerelease', 'rc')).toBe('2.0.0-rc.1');
+    });
+
+    it('should increment prerelease of a release', () => {
+        expect(util.getNextVersion('1.4.0', '1.4.0', 'prerelease', 'rc')).toBe('1.4.1-rc.0');
+    });
+
+    it('should increment prerelease without an identifier', () => {
+        expect(util.getNextVersion('1.4.0-1', '1.4.0-1', 'prerelease')).toBe('1.4.0-2');
+    });
+
+    it('should restart prerelease when the identifier changes', () => {
+        expect(util.getNextVersion('2.0.0-beta.3', '2.0.0-beta.3', 'prerelease', 'rc')).toBe('2.0.0-rc.0');
+    });
+
+    it('should release a pre-release', () => {
+        expect(util.getNextVersion('1.4.0-rc.1', '1.4.0-rc.1', 'patch')).toBe('1.4.0');
+        expect(util.getNextVersion('1.4.0-rc.1', '1.4.0-rc.1', 'minor')).toBe('1.4.0');
+        expect(util.getNextVersion('2.0.0-rc.1', '2.0.0-rc.1', 'major')).toBe('2.0.0');
+    });
+
+    it('should drop build metadata', () => {
+        expect(util.getNextVersion('2.0.0+build.7', '2.0.0+build.7', 'patch')).toBe('2.0.1');
+    });
+
+    it('should throw error when prerelease is already incremented', () => {
+        expect(() => util.getNextVersion('2.0.0-rc.0', '2.0.0-rc.1', 'prerelease', 'rc'))
+            .toThrowError('Version has already been incremented.');
+    });
+
+    it('should increment version when main pre-release is ahead', () => {
+        expect(util.getNextVersion('2.0.0-rc.1', '2.0.0-rc.1+build.1', 'prerelease', 'rc')).toBe('2.0.0-rc.2');
+        expect(util.getNextVersion('2.0.0-rc.2', '2.0.0-rc.1', 'prerelease', 'rc')).toBe('2.0.0-rc.3');
+    });
+
+    it('should throw error when pre-release is not in the semantic format', () => {
+        expect(() => util.getNextVersion('1.0.0-rc..1', '1.0.0', 'patch'))
+            .toThrowError('Main version does not follow semantic versioning of major.minor.patch');
+    });
+
+    it('should throw error when the next version has been taken', () => {
+        expect(() => util.getNextVersion('1.2.3', '1.2.3', 'patch', undefined, {taken: ['1.2.4']}))
+            .toThrowError(util.VersionCollisionError);
+        expect(() => util.getNextVersion('1.2.3', '1.2.4', 'patch', undefined, {taken: ['1.2.4']}))
+            .toThrowError('Version 1.2.4 has already been taken by a tag or another pull request.');
+    });
+
+    it('should bump past taken versions', () => {
+        expect(util.getNextVersion('1.2.3', '1.2.3', 'patch', undefined, {taken: ['1.2.4', '1.2.5'], bump: true})).toBe('1.2.6');
+        expect(util.getNextVersion('1.2.3', '1.2.4', 'patch', undefined, {taken: ['1.2.4'], bump: true})).toBe('1.2.5');
+        expect(util.getNextVersion('1.2.3', '1.2.3', 'preminor', 'rc', {taken: ['1.3.0-rc.0'], bump: true})).toBe('1.3.0-rc.1');
+    });
+
+    it('should not bump again once past taken versions', () => {
+        expect(() => util.getNextVersion('1.2.3', '1.2.5', 'patch', undefined, {taken: ['1.2.4'], bump: true}))
+            .toThrowError(util.VersionAlreadyIncrementedError);
+    });
+
+    it('should bump again when main moves past the version', () => {
+        expect(util.getNextVersion('1.2.4', '1.2.4', 'patch', undefined, {taken: ['1.2.4'], bump: true})).toBe('1.2.5');
+    });
 });
 
-describe('get file extension', () => {
-    it('should be json', () => {
-        expect(util.getFileExtension('package.json')).toBe('json');
+describe('is main version ahead', () => {
+    it('should be ahead when main is a higher release', () => {
+        expect(util.isMainVersionAhead('1.2.4', '1.2.3')).toBe(true);
+    });
+
+    it('should not be ahead when main is the same', () => {
+        expect(util.isMainVersionAhead('1.2.3', '1.2.3+build.1')).toBe(false);
     });
 
-    it('should be xml', () => {
-        expect(util.getFileExtension('pom.xml')).toBe('xml');
+    it('should be ahead when main is the release of a pre-release', () => {
+        expect(util.isMainVersionAhead('1.0.0', '1.0.0-rc.1')).toBe(true);
+        expect(util.isMainVersionAhead('1.0.0-rc.1', '1.0.0')).toBe(false);
     });
 
-    it('should be gradle', () => {
-        expect(util.getFileExtension('build.gradle')).toBe('gradle');
+    it('should compare pre-release identifiers by precedence', () => {
+        const ordered = ['1.0.0-alpha', '1.0.0-alpha.1', '1.0.0-alpha.beta', '1.0.0-beta', '1.0.0-beta.2', '1.0.0-beta.11', '1.0.0-rc.1', '1.0.0'];
+        for (let i = 1; i < ordered.length; i++) {
+            expect(util.isMainVersionAhead(ordered[i], ordered[i - 1])).toBe(true);
+            expect(util.isMainVersionAhead(ordered[i - 1], ordered[i])).toBe(false);
+        }
+    });
+});
+
+describe('get highest version', () => {
+    it('should get the version with the highest precedence', () => {
+        expect(util.getHighestVersion(['1.3.9', '1.4.2', '1.4.2-rc.1', '1.10.0-alpha'])).toBe('1.10.0-alpha');
+    });
+
+    it('should be undefined when there are no versions', () => {
+        expect(util.getHighestVersion([])).toBeUndefined();
+    });
+});
+
+describe('parse version', () => {
+    it('should parse pre-release and build metadata', () => {
+        expect(util.parseVersion('1.4.0-rc.1+build.7')).toEqual({
+            major: 1,
+            minor: 4,
+            patch: 0,
+            prerelease: ['rc', 1],
+            build: ['build', '7'],
+        });
+    });
+
+    it('should throw error when version is invalid', () => {
+        expect(() => util.parseVersion('1.4')).toThrowError(util.InvalidVersionError);
+        expect(() => util.parseVersion('01.4.0')).toThrowError(util.InvalidVersionError);
+    });
+});
+
+describe('get packages', () => {
+    let dir;
+
+    beforeEach(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'next-version-'));
+        fs.mkdirSync(path.join(dir, 'packages', 'web'), {recursive: true});
+        fs.mkdirSync(path.join(dir, 'packages', 'api'), {recursive: true});
+        fs.writeFileSync(path.join(dir, 'packages', 'README.md'), '');
+    });
+
+    afterEach(() => {
+        fs.rmSync(dir, {recursive: true, force: true});
+    });
+
+    it('should expand package patterns', () => {
+        expect(util.getPackageDirectories([`${dir}/packages/*`, ' tools/ '])).toEqual([
+            `${dir}/packages/api`,
+            `${dir}/packages/web`,
+            'tools',
+        ]);
+    });
+
+    it('should expand package patterns from the files', () => {
+        const files = ['packages/web/package.json', 'packages/api/src/index.js', 'packages/README.md', 'packages/api/package.json'];
+        expect(util.getPackageDirectories(['packages/*', 'tools'], files)).toEqual(['packages/api', 'packages/web', 'tools']);
+    });
+
+    it('should only get changed packages', () => {
+        const changedFiles = ['packages/api/src/index.js', 'packages/web-admin/package.json', 'README.md'];
+        expect(util.getChangedPackages(['packages/api', 'packages/web'], changedFiles)).toEqual(['packages/api']);
+    });
+});
+
+describe('parse custom patterns', () => {
+    it('should parse the patterns', () => {
+        const patterns = util.parseCustomPatterns(`
+Chart.yaml: '^version: (\\S+)'
+src/version.ts: "export const VERSION = '(?<version>[^']+)'"
+`);
+        expect(patterns.map(p => p.pattern)).toEqual(['Chart.yaml', 'src/version.ts']);
+        expect(patterns[0].regex.exec('name: app\nversion: 1.2.3')[1]).toBe('1.2.3');
+        expect(patterns[0].regex.flags).toBe('dm');
+    });
+
+    it('should be empty when there are no patterns', () => {
+        expect(util.parseCustomPatterns('')).toEqual([]);
+    });
+
+    it('should throw error when the patterns are not a mapping', () => {
+        expect(() => util.parseCustomPatterns('- Chart.yaml')).toThrowError('Custom patterns must be a mapping of a filename or glob to a regex');
+    });
+
+    it('should throw error when the regex has no group', () => {
+        expect(() => util.parseCustomPatterns('Dockerfile: LABEL version=\\S+')).toThrowError('Custom pattern for Dockerfile must have a group capturing the version');
+    });
+});
+
+describe('find regex version', () => {
+    it('should find the version at the end of the match', () => {
+        const content = 'name=app\nversion=1.2.3\n';
+        expect(util.findRegexVersion(content, /^version=(?<version>\S+)/m)).toEqual({value: '1.2.3', start: 17, end: 22});
+    });
+
+    it('should find the version of a group with indices', () => {
+        const content = 'LABEL version="1.2.3" maintainer="me"';
+        expect(util.findRegexVersion(content, new RegExp('version="([^"]+)" maintainer', 'd'))).toEqual({value: '1.2.3', start: 15, end: 20});
+    });
+
+    it('should be undefined when there is no match', () => {
+        expect(util.findRegexVersion('name=app', /^version=(?<version>\S+)/m)).toBeUndefined();
     });
 });
 
@@ -96,3 +410,17 @@ test('decode string', () => {
     expect(util.decode('Zm9vIGJhcg==')).toBe('foo bar');
     expect(util.decode('Zm9vIGJhciBiYXo=')).toBe('foo bar baz');
 })
+
+test('get file content', async () => {
+    const notFound = Object.assign(new Error('Not Found'), {status: 404});
+    const client = {
+        getContent: jest.fn()
+            .mockResolvedValueOnce({content: 'Zm9v'})
+            .mockRejectedValueOnce(notFound)
+            .mockRejectedValueOnce(new Error('Bad credentials')),
+    };
+    expect(await util.getFileContent(client, 'package.json', 'main')).toBe('foo');
+    expect(client.getContent).toHaveBeenCalledWith('package.json', 'main');
+    expect(await util.getFileContent(client, 'missing.json', 'main')).toBeUndefined();
+    await expect(util.getFileContent(client, 'package.json', 'main')).rejects.toThrow('Bad credentials');
+})
@@ -0,0 +1,158 @@
+const Registry = require('./registry');
+
+// the fields of a package.json with the ranges of the packages it depends on
+const dependencyFields = ['dependencies', 'devDependencies', 'peerDependencies', 'optionalDependencies'];
+
+/**
+ * Gets the patterns of the packages of a pnpm workspace.
+ * @param content The content of the pnpm-workspace.yaml.
+ * @returns {string[]} The patterns of the packages (e.g. packages/* or !**\/test).
+ */
+const parsePnpmWorkspace = (content) => {
+    const lines = content.split(/\r?\n/);
+    const start = lines.findIndex(line => /^packages:\s*(?:#.*)?$/.test(line));
+    const patterns = [];
+    if (start === -1) {
+        return patterns;
+    }
+    for (const line of lines.slice(start + 1)) {
+        // the list ends at the next key
+        if (/^\S/.test(line)) {
+            break;
+        }
+        const item = line.match(/^\s+-\s*(["']?)(.+?)\1\s*(?:#.*)?$/);
+        if (item) {
+            patterns.push(item[2]);
+        }
+    }
+    return patterns;
+};
+
+/**
+ * Gets the patterns of the packages of an npm or Yarn workspace.
+ * @param content The content of the package.json at the root of the workspace. Optional.
+ * @returns {string[]|undefined} The patterns of the packages or undefined if the package.json is not a workspace root.
+ */
+const getWorkspacePatterns = (content) => {
+    let workspaces;
+    try {
+        workspaces = content && JSON.parse(content).workspaces;
+    } catch (e) {
+        return undefined;
+    }
+    // Yarn also accepts an object of the packages and the packages not to hoist
+    if (workspaces && !Array.isArray(workspaces)) {
+        workspaces = workspaces.packages;
+    }
+    return Array.isArray(workspaces) ? workspaces : undefined;
+};
+
+/**
+ * Determines if the directory is a package of the workspace. A pattern starting with ! excludes the directories it matches.
+ * @param directory The directory, relative to the root of the workspace.
+ * @param patterns The patterns of the packages.
+ * @returns {boolean} True if a pattern matches the directory and no negated pattern excludes it.
+ */
+const matchesPatterns = (directory, patterns) => {
+    const matches = pattern => Registry.globToRegex(normalizePattern(pattern)).test(directory);
+    return patterns.some(pattern => !pattern.startsWith('!') && matches(pattern))
+        && !patterns.some(pattern => pattern.startsWith('!') && matches(pattern));
+};
+
+/**
+ * Removes the leading ! and ./ and the trailing slashes from a pattern.
+ * @param pattern The pattern.
+ * @returns {string} The normalized pattern.
+ */
+const normalizePattern = (pattern) => {
+    return pattern.replace(/^!/, '').replace(/^\.\//, '').replace(/\/+$/, '');
+};
+
+/**
+ * Updates a range on a package to its new version. Only a version and the ranges of a single version (e.g. ^1.2.3, ~1.2.3
+ * or workspace:^1.2.3) are updated. Other ranges (e.g. workspace:*, workspace:^ or >=1.0.0) are kept as they are.
+ * @param range The range.
+ * @param version The new version of the package.
+ * @returns {string} The updated range.
+ */
+const updateRange = (range, version) => {
+    const match = range.match(/^(workspace:)?([\^~=]?)v?\d+\.\d+\.\d+(?:-[0-9A-Za-z.-]+)?(?:\+[0-9A-Za-z.-]+)?$/);
+    return match ? `${match[1] || ''}${match[2]}${version}` : range;
+};
+
+/**
+ * Updates the specifier of a dependency of an importer (a package of the workspace) in a pnpm lockfile. Lockfile v6 and
+ * later record the specifier with the dependency, v5 in the specifiers of the importer.
+ * @param content The content of the pnpm-lock.yaml.
+ * @param importer The directory of the package, relative to the root of the workspace.
+ * @param field The dependency field (e.g. dependencies).
+ * @param name The name of the dependency.
+ * @param range The new range of the dependency.
+ * @returns {string|undefined} The updated content or undefined if the lockfile does not record the dependency or already
+ * has the range.
+ */
+const updatePnpmSpecifier = (content, importer, field, name, range) => {
+    const newline = content.includes('\r\n') ? '\r\n' : '\n';
+    const lines = content.split(/\r?\n/);
+    const importers = findYAMLEntry(lines, 0, lines.length, 0, 'importers');
+    const entry = importers && findYAMLEntry(lines, importers.index + 1, importers.end, 2, importer);
+    if (!entry) {
+        return undefined;
+    }
+    const section = findYAMLEntry(lines, entry.index + 1, entry.end, 4, field);
+    const dependency = section && findYAMLEntry(lines, section.index + 1, section.end, 6, name);
+    let specifier = dependency && findYAMLEntry(lines, dependency.index + 1, dependency.end, 8, 'specifier');
+    if (!specifier) {
+        const specifiers = findYAMLEntry(lines, entry.index + 1, entry.end, 4, 'specifiers');
+        specifier = specifiers && findYAMLEntry(lines, specifiers.index + 1, specifiers.end, 6, name);
+    }
+    if (!specifier || specifier.value.replace(/^(["'])(.*)\1$/, '$2') === range) {
+        return undefined;
+    }
+    const line = lines[specifier.index];
+    const quote = /^["']/.test(specifier.value) ? specifier.value[0] : '';
+    lines[specifier.index] = `${line.slice(0, line.lastIndexOf(specifier.value))}${quote}${range}${quote}`;
+    return lines.join(newline);
+};
+
+/**
+ * Finds the entry of a key at the indentation within a block of YAML lines.
+ * @param lines The lines of the YAML document.
+ * @param from The first line of the block.
+ * @param to The line after the block.
+ * @param indent The indentation of the key.
+ * @param key The key.
+ * @returns {{index: number, end: number, value: string}|undefined} The line of the key, the line after its block and its
+ * inline value, or undefined if the block has no such key.
+ */
+const findYAMLEntry = (lines, from, to, indent, key) => {
+    const indentOf = line => line.length - line.trimStart().length;
+    for (let i = from; i < to; i++) {
+        const line = lines[i];
+        if (!line.trim() || line.trim().startsWith('#') || indentOf(line) > indent) {
+            continue;
+        }
+        if (indentOf(line) < indent) {
+            return undefined;
+        }
+        const entry = line.slice(indent).match(/^(?:'([^']*)'|"([^"]*)"|([^\s'"][^:]*?)):(?:\s+(.*?))?\s*$/);
+        if (entry && [entry[1], entry[2], entry[3]].find(part => part !== undefined) === key) {
+            let end = i + 1;
+            while (end < to && (!lines[end].trim() || indentOf(lines[end]) > indent)) {
+                end++;
+            }
+            return {index: i, end, value: entry[4] || ''};
+        }
+    }
+    return undefined;
+};
+
+module.exports = {
+    dependencyFields,
+    parsePnpmWorkspace,
+    getWorkspacePatterns,
+    matchesPatterns,
+    normalizePattern,
+    updateRange,
+    updatePnpmSpecifier,
+};
@@ -0,0 +1,84 @@
+const workspace = require('./workspace');
+
+const pnpmLockfile = `lockfileVersion: '9.0'
+
+importers:
+
+  .: {}
+
+  packages/api: {}
+
+  packages/web:
+    dependencies:
+      '@org/api':
+        specifier: workspace:^1.2.0
+        version: link:../api
+    devDependencies:
+      typescript:
+        specifier: ^5.0.0
+        version: 5.4.5
+
+packages:
+
+  typescript@5.4.5:
+    resolution: {integrity: sha512-abc}
+`;
+
+describe('workspace patterns', () => {
+    it('should parse the packages of a pnpm workspace', () => {
+        const content = `packages:\n  - 'packages/*'\n  - "apps/**" # the apps\n  - '!**/test/**'\ncatalog:\n  react: ^18.0.0\n`;
+        expect(workspace.parsePnpmWorkspace(content)).toEqual(['packages/*', 'apps/**', '!**/test/**']);
+        expect(workspace.parsePnpmWorkspace('catalog:\n  react: ^18.0.0\n')).toEqual([]);
+    });
+
+    it('should get the workspaces of a package.json', () => {
+        expect(workspace.getWorkspacePatterns('{"workspaces": ["packages/*"]}')).toEqual(['packages/*']);
+        expect(workspace.getWorkspacePatterns('{"workspaces": {"packages": ["apps/*"], "nohoist": ["**/react"]}}')).toEqual(['apps/*']);
+        expect(workspace.getWorkspacePatterns('{"name": "app"}')).toBeUndefined();
+        expect(workspace.getWorkspacePatterns(undefined)).toBeUndefined();
+    });
+
+    it('should match the packages of the workspace', () => {
+        const patterns = ['packages/*', './apps/**', '!**/test/**'];
+        expect(workspace.matchesPatterns('packages/api', patterns)).toBe(true);
+        expect(workspace.matchesPatterns('apps/web/admin', patterns)).toBe(true);
+        expect(workspace.matchesPatterns('packages/api/nested', patterns)).toBe(false);
+        expect(workspace.matchesPatterns('apps/test/e2e', patterns)).toBe(false);
+        expect(workspace.matchesPatterns('tools/cli', patterns)).toBe(false);
+    });
+});
+
+describe('update range', () => {
+    it('should update the ranges of a single version', () => {
+        expect(workspace.updateRange('^1.2.0', '1.3.0')).toBe('^1.3.0');
+        expect(workspace.updateRange('~1.2.0', '1.3.0')).toBe('~1.3.0');
+        expect(workspace.updateRange('1.2.0', '2.0.0-rc.0')).toBe('2.0.0-rc.0');
+        expect(workspace.updateRange('workspace:^1.2.0', '1.3.0')).toBe('workspace:^1.3.0');
+        expect(workspace.updateRange('workspace:1.2.0', '1.3.0')).toBe('workspace:1.3.0');
+    });
+
+    it('should keep the other ranges', () => {
+        for (const range of ['workspace:*', 'workspace:^', 'workspace:~', '*', '>=1.0.0', '^1.0.0 || ^2.0.0', '1.x', 'file:../api']) {
+            expect(workspace.updateRange(range, '1.3.0')).toBe(range);
+        }
+    });
+});
+
+describe('update pnpm specifier', () => {
+    it('should update the specifier of the dependency of the importer', () => {
+        expect(workspace.updatePnpmSpecifier(pnpmLockfile, 'packages/web', 'dependencies', '@org/api', 'workspace:^1.3.0'))
+            .toBe(pnpmLockfile.replace('specifier: workspace:^1.2.0', 'specifier: workspace:^1.3.0'));
+    });
+
+    it('should update the specifiers of a v5 lockfile', () => {
+        const content = `lockfileVersion: 5.4\r\n\r\nimporters:\r\n  packages/web:\r\n    specifiers:\r\n      '@org/api': '^1.2.0'\r\n    dependencies:\r\n      '@org/api': link:../api\r\n`;
+        expect(workspace.updatePnpmSpecifier(content, 'packages/web', 'dependencies', '@org/api', '^1.3.0'))
+            .toBe(content.replace(`'@org/api': '^1.2.0'`, `'@org/api': '^1.3.0'`));
+    });
+
+    it('should be undefined when the lockfile does not record the dependency or is in sync', () => {
+        expect(workspace.updatePnpmSpecifier(pnpmLockfile, 'packages/docs', 'dependencies', '@org/api', 'workspace:^1.3.0')).toBeUndefined();
+        expect(workspace.updatePnpmSpecifier(pnpmLockfile, 'packages/web', 'devDependencies', '@org/api', 'workspace:^1.3.0')).toBeUndefined();
+        expect(workspace.updatePnpmSpecifier(pnpmLockfile, 'packages/web', 'dependencies', '@org/api', 'workspace:^1.2.0')).toBeUndefined();
+    });
+});
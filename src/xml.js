@@ -0,0 +1,127 @@
+/**
+ * Finds the elements at the path. Only the location of each element's text is tracked so the document can be rewritten
+ * without changing its formatting, comments or anything else around the text.
+ * @param content The XML document.
+ * @param path The slash separated path of the element from the root (e.g. project/version).
+ * @returns {{value: string, start: number, end: number}[]} The trimmed text of the elements and where it is located.
+ */
+const findElements = (content, path) => {
+    const elements = [];
+    const stack = [];
+    let i = 0;
+    while ((i = content.indexOf('<', i)) !== -1) {
+        if (content.startsWith('<!--', i)) {
+            i = skipPast(content, i, '-->');
+        } else if (content.startsWith('<![CDATA[', i)) {
+            i = skipPast(content, i, ']]>');
+        } else if (content.startsWith('<?', i)) {
+            i = skipPast(content, i, '?>');
+        } else if (content.startsWith('<!', i)) {
+            i = skipPast(content, i, '>');
+        } else if (content.startsWith('</', i)) {
+            const element = stack.pop();
+            if (element && element.path === path) {
+                elements.push(trim(content, element.start, i));
+            }
+            i = skipPast(content, i, '>');
+        } else {
+            const end = findTagEnd(content, i);
+            const name = content.slice(i + 1, end).match(/^[^\s/>]+/)[0];
+            const parent = stack.length > 0 ? stack[stack.length - 1].path + '/' : '';
+            const selfClosing = content[end - 1] === '/';
+            if (!selfClosing) {
+                stack.push({path: parent + localName(name), start: end + 1});
+            }
+            i = end + 1;
+        }
+    }
+    return elements;
+};
+
+/**
+ * Finds the first element at the path.
+ * @param content The XML document.
+ * @param path The slash separated path of the element from the root (e.g. project/version).
+ * @returns {{value: string, start: number, end: number}|undefined} The element or undefined if it does not exist.
+ */
+const findElement = (content, path) => {
+    return findElements(content, path)[0];
+};
+
+/**
+ * Replaces the text of an element found by findElements.
+ * @param content The XML document.
+ * @param element The element to replace the text of.
+ * @param value The new text.
+ * @returns {string} The updated XML document.
+ */
+const replaceElement = (content, element, value) => {
+    return content.slice(0, element.start) + value + content.slice(element.end);
+};
+
+/**
+ * Gets the index just past the terminator.
+ * @param content The XML document.
+ * @param from The index to search from.
+ * @param terminator The terminator to search for.
+ * @returns {number} The index after the terminator or the length of the document if there is none.
+ */
+const skipPast = (content, from, terminator) => {
+    const index = content.indexOf(terminator, from);
+    return index === -1 ? content.length : index + terminator.length;
+};
+
+/**
+ * Finds the closing > of a start tag, ignoring any > within quoted attribute values.
+ * @param content The XML document.
+ * @param from The index of the opening <.
+ * @returns {number} The index of the closing >.
+ */
+const findTagEnd = (content, from) => {
+    let quote;
+    for (let i = from + 1; i < content.length; i++) {
+        const c = content[i];
+        if (quote) {
+            if (c === quote) {
+                quote = undefined;
+            }
+        } else if (c === '"' || c === '\'') {
+            quote = c;
+        } else if (c === '>') {
+            return i;
+        }
+    }
+    return content.length;
+};
+
+/**
+ * Removes the namespace prefix from the element name.
+ * @param name The element name.
+ * @returns {string} The name without a prefix.
+ */
+const localName = (name) => {
+    return name.substring(name.indexOf(':') + 1);
+};
+
+/**
+ * Trims the whitespace around the text.
+ * @param content The XML document.
+ * @param start The start of the text.
+ * @param end The end of the text.
+ * @returns {{value: string, start: number, end: number}} The trimmed text and its location.
+ */
+const trim = (content, start, end) => {
+    while (start < end && /\s/.test(content[start])) {
+        start++;
+    }
+    while (end > start && /\s/.test(content[end - 1])) {
+        end--;
+    }
+    return {value: content.slice(start, end), start, end};
+};
+
+module.exports = {
+    findElements,
+    findElement,
+    replaceElement,
+};
@@ -0,0 +1,56 @@
+const xml = require('./xml');
+
+const pom = `<?xml version="1.0" encoding="UTF-8"?>
+<!-- <project><version>9.9.9</version></project> -->
+<project xmlns="http://maven.apache.org/POM/4.0.0" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance">
+    <parent>
+        <groupId>org.springframework.boot</groupId>
+        <version>3.1.0</version>
+        <relativePath/>
+    </parent>
+    <name attr="a > b">demo</name>
+    <version>
+        1.2.3
+    </version>
+    <description><![CDATA[<version>0.0.0</version>]]></description>
+    <dependencies>
+        <dependency>
+            <version>4.0.0</version>
+        </dependency>
+    </dependencies>
+</project>
+`;
+
+describe('find elements', () => {
+    it('should find the element at the path', () => {
+        const element = xml.findElement(pom, 'project/version');
+        expect(element.value).toBe('1.2.3');
+        expect(pom.slice(element.start, element.end)).toBe('1.2.3');
+    });
+
+    it('should find nested elements', () => {
+        expect(xml.findElement(pom, 'project/parent/version').value).toBe('3.1.0');
+        expect(xml.findElements(pom, 'project/dependencies/dependency/version').map(e => e.value)).toEqual(['4.0.0']);
+    });
+
+    it('should ignore quoted attributes and self closing elements', () => {
+        expect(xml.findElement(pom, 'project/name').value).toBe('demo');
+        expect(xml.findElement(pom, 'project/parent/relativePath')).toBeUndefined();
+    });
+
+    it('should ignore namespace prefixes', () => {
+        expect(xml.findElement('<m:project><m:version>1.0.0</m:version></m:project>', 'project/version').value).toBe('1.0.0');
+    });
+
+    it('should be undefined when the element does not exist', () => {
+        expect(xml.findElement(pom, 'project/packaging')).toBeUndefined();
+    });
+});
+
+describe('replace element', () => {
+    it('should only replace the text of the element', () => {
+        const element = xml.findElement(pom, 'project/version');
+        const updated = xml.replaceElement(pom, element, '2.0.0');
+        expect(updated).toBe(pom.replace('1.2.3', '2.0.0'));
+    });
+});